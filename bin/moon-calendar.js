@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * Calendar table CLI
+ *
+ *   moon-calendar --from 2025-12-01 --to 2025-12-31 --fields eto,lucky --format csv
+ *   moon-calendar --from R8.1.1 --to R8.12.31 --format md --output 2026.md
+ *   moon-calendar --from 2026-01-01 --to 2030-12-31 --format ics --output feed.ics
+ *
+ * Dates accept the same forms as the jump-to-date box (see parseWareki).
+ */
+import { parseArgs } from 'node:util';
+import { writeFileSync } from 'node:fs';
+import * as Astronomy from 'astronomy-engine';
+import { setAstronomy } from '../src/lib/AstronomyBackend.js';
+import { TABLE_FIELDS, TABLE_FORMATS, buildRows, formatRows } from '../src/lib/CalendarTable.js';
+import { parseWareki } from '../src/lib/Wareki.js';
+import { ICS_EVENT_TYPES, createIcs } from '../src/lib/IcsExport.js';
+
+setAstronomy(Astronomy);
+
+const DEFAULT_FIELDS = 'eto,lucky,moon,rokuyo';
+const ICS_TYPES = ICS_EVENT_TYPES.map(t => t.type);
+// How often subscribers re-fetch a hosted .ics feed
+const DEFAULT_REFRESH = 'P1W';
+
+const USAGE = `Usage: moon-calendar [options]
+
+Options:
+  --from <date>     First day (default: first day of this month)
+  --to <date>       Last day, inclusive (default: last day of the --from month)
+  --fields <list>   Comma-separated columns (default: ${DEFAULT_FIELDS})
+                    Available: ${Object.keys(TABLE_FIELDS).join(', ')}
+  --format <fmt>    ${[...TABLE_FORMATS, 'ics'].join(' | ')} (default: md)
+  --types <list>    Events for --format ics (default: all)
+                    Available: ${ICS_TYPES.join(', ')}
+  --refresh <dur>   Re-fetch interval for subscribers of the .ics (default: ${DEFAULT_REFRESH})
+  --output <file>   Write to a file instead of stdout
+  --help            Show this help
+
+Dates: 2026-10-19, 2026/10/19, R8.10.19, 令和8年10月19日, ...`;
+
+let options;
+try {
+    options = parseArgs({
+        options: {
+            from: { type: 'string' },
+            to: { type: 'string' },
+            fields: { type: 'string', default: DEFAULT_FIELDS },
+            format: { type: 'string', default: 'md' },
+            types: { type: 'string', default: ICS_TYPES.join(',') },
+            refresh: { type: 'string', default: DEFAULT_REFRESH },
+            output: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    }).values;
+} catch (err) {
+    fail(err.message);
+}
+
+if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+try {
+    const today = new Date();
+    const from = options.from ? parseWareki(options.from) : new Date(today.getFullYear(), today.getMonth(), 1);
+    const to = options.to ? parseWareki(options.to) : new Date(from.getFullYear(), from.getMonth() + 1, 0);
+    if (to < from) throw new RangeError('--to is before --from');
+
+    let output;
+    if (options.format === 'ics') {
+        // A file for a range of years can be hosted and subscribed to as a feed
+        const types = splitList(options.types);
+        for (const type of types) {
+            if (!ICS_TYPES.includes(type)) throw new RangeError(`Unknown event type: ${type}`);
+        }
+        output = createIcs(from, to, types, { refresh: options.refresh });
+    } else {
+        const fields = splitList(options.fields);
+        if (!TABLE_FORMATS.includes(options.format)) throw new RangeError(`Unknown format: ${options.format}`);
+        output = formatRows(buildRows(from, to, fields), fields, options.format);
+    }
+    if (options.output) {
+        writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+} catch (err) {
+    if (!(err instanceof RangeError)) throw err;
+    fail(err.message);
+}
+
+function splitList(list) {
+    return list.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function fail(message) {
+    console.error(`moon-calendar: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
@@ -1,5 +1,18 @@
-import { getEto, getLuckyDays } from '../lib/JapaneseCalendar.js';
-import { getMoonPhase } from '../lib/MoonData.js';
+import { getEto, getLuckyDays, getUnluckyDays, getRokuyo, getJunichoku, getNijuhasshuku, getNijushichishuku, getKyusei, getPillars, getSenjitsuPeriods, getSenjitsu, getDoyoUshi, ROKUYO, LUCKY_DAY_TYPES } from '../lib/JapaneseCalendar.js';
+import { getKyureki } from '../lib/LunisolarCalendar.js';
+import { getMoonPhase, getVoidTime, getMoonSign, getMoonTimes, MOON_PHASE_TYPES } from '../lib/MoonData.js';
+import { getSunTimes } from '../lib/SunData.js';
+import { getAstroEventsForDay } from '../lib/AstroEvents.js';
+import { CITY_PRESETS, DEFAULT_LOCATION, createLocation, getCityPreset } from '../lib/Location.js';
+import { getSolarTerm, getCurrentSolarTerm } from '../lib/SolarTerms.js';
+import { getZassetsu } from '../lib/Zassetsu.js';
+import { getKou } from '../lib/Kou.js';
+import { getHoliday } from '../lib/Holidays.js';
+import { formatWareki, formatWarekiMonth, parseWareki } from '../lib/Wareki.js';
+import { ICS_EVENT_TYPES, createIcs } from '../lib/IcsExport.js';
+import { searchDays, parseEtoCondition } from '../lib/DaySearch.js';
+import { toDayNumber, jstDayNumber, getJstParts, formatJstTime } from '../lib/DateUtil.js';
+import { setAstronomy } from '../lib/AstronomyBackend.js';
 
 /**
  * Generate SVG for moon phase visualization
@@ -87,13 +100,148 @@ function getMoonPhaseHTML(degrees, illumination, size = 14) {
 
 const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
 
+/**
+ * Format an Old Calendar Date, e.g. "閏6月1日"
+ */
+function formatKyureki(kyureki) {
+    return `${kyureki.isLeap ? '閏' : ''}${kyureki.month}月${kyureki.day}日`;
+}
+
+/**
+ * Format Kyusei stars as "年 一白水星 ・ 月 九紫火星 ・ 日 四緑木星"
+ */
+function formatKyusei(kyusei) {
+    return `年 ${kyusei.year.name} ・ 月 ${kyusei.month.name} ・ 日 ${kyusei.day.name}`;
+}
+
+/**
+ * Format a range of calendar days, e.g. "7/19〜8/6"
+ */
+function formatDateRange(start, end) {
+    return `${start.getMonth() + 1}/${start.getDate()}〜${end.getMonth() + 1}/${end.getDate()}`;
+}
+
+/**
+ * Format a time range as seen from one day (JST), e.g. "15:02〜19:49".
+ * Ends falling on another day are left open: "〜00:21" / "22:10〜".
+ */
+function formatDayRange(start, end, date) {
+    const dayNumber = toDayNumber(date);
+    const from = jstDayNumber(start) === dayNumber ? formatJstTime(start) : '';
+    const to = jstDayNumber(end) === dayNumber ? formatJstTime(end) : '';
+    return `${from}〜${to}`;
+}
+
+/**
+ * Format an instant as "M/D HH:MM" (JST)
+ */
+function formatJstDateTime(instant) {
+    const { month, day } = getJstParts(instant);
+    return `${month}/${day} ${formatJstTime(instant)}`;
+}
+
+/**
+ * Format a moon phase event with its JST time, e.g. "満月 21:14"
+ */
+function formatPhaseEvent(event) {
+    return event ? `${event.name} ${formatJstTime(event.time)}` : '';
+}
+
+/**
+ * Format moonrise / transit / moonset, e.g. "月の出 16:40 / 南中 22:57 / 月の入 --:--"
+ */
+function formatMoonTimes(times) {
+    return `月の出 ${formatOptionalTime(times.rise)} / 南中 ${formatOptionalTime(times.transit)} / 月の入 ${formatOptionalTime(times.set)}`;
+}
+
+/**
+ * "HH:MM" (JST), or "--:--" for an event that does not happen that day
+ */
+function formatOptionalTime(instant) {
+    return instant ? formatJstTime(instant) : '--:--';
+}
+
+/**
+ * Text color for an astronomical event label
+ */
+function getAstroEventColorClass(type) {
+    if (type === 'lunar-eclipse' || type === 'solar-eclipse') return 'text-rose-300';
+    if (type === 'supermoon') return 'text-yellow-200';
+    return 'text-sky-300';
+}
+
+/**
+ * Zodiac glyph rendered as text rather than emoji
+ */
+function formatSignGlyph(sign) {
+    return `${sign.glyph}&#xFE0E;`;
+}
+
+/**
+ * Bar color for a Senjitsu period
+ */
+function getSenjitsuColorClass(type) {
+    if (type === 'doyo') return 'bg-amber-700/30 text-amber-200';
+    if (type === 'happen') return 'bg-rose-500/20 text-rose-200';
+    if (type === 'tenichitenjo') return 'bg-sky-500/20 text-sky-200';
+    return 'bg-slate-500/30 text-slate-300';
+}
+
+/**
+ * Text color for a Rokuyo label (大安 and 友引 stand out)
+ */
+function getRokuyoColorClass(type) {
+    if (type === 'taian') return 'text-amber-300';
+    if (type === 'tomobiki') return 'text-emerald-300';
+    if (type === 'butsumetsu' || type === 'shakko') return 'text-slate-500';
+    return 'text-slate-400';
+}
+
 let currentDate = new Date();
 
+// Observer location for rise/set times, remembered between visits
+const LOCATION_STORAGE_KEY = 'moon-calendar:location';
+let currentLocation = loadLocation();
+
+function loadLocation() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LOCATION_STORAGE_KEY));
+        if (saved && saved.id === 'custom') return createLocation(saved.latitude, saved.longitude);
+        if (saved) return getCityPreset(saved.id);
+    } catch (e) { }
+    return DEFAULT_LOCATION;
+}
+
+function setLocation(location) {
+    currentLocation = location;
+    localStorage.setItem(LOCATION_STORAGE_KEY, JSON.stringify(location));
+    renderCurrentStatus();
+    renderCalendar(currentDate);
+}
+
+// Optional sunrise/sunset line in each calendar cell
+const SUN_OVERLAY_STORAGE_KEY = 'moon-calendar:sun-overlay';
+let showSunOverlay = localStorage.getItem(SUN_OVERLAY_STORAGE_KEY) === 'on';
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
+    // astronomy.browser.js (script tag in index.html) defines window.Astronomy
+    try {
+        setAstronomy(window.Astronomy);
+    } catch (err) {
+        console.error(err);
+        document.getElementById('current-status').innerHTML = `
+            <p class="text-red-300">天文計算ライブラリ (Astronomy Engine) を読み込めませんでした。ネットワーク接続を確認して再読み込みしてください。</p>
+        `;
+        return;
+    }
+
     renderCurrentStatus();
     renderCalendar(currentDate);
     setupEventListeners();
+    setupLocationPicker();
+    setupExportPanel();
+    setupSearchPanel();
     updateHeader();
     lucide.createIcons();
 });
@@ -107,7 +255,11 @@ function renderCurrentStatus() {
 
     const moon = getMoonPhase(today);
     const eto = getEto(today);
+    const kyusei = getKyusei(today);
+    const pillars = getPillars(today);
+    const kou = getKou(today);
     const luckyDays = getLuckyDays(today);
+    const moonTimes = getMoonTimes(today, currentLocation);
 
     const dateStr = `${today.getFullYear()}年${today.getMonth() + 1}月${today.getDate()}日 (${WEEKDAYS[today.getDay()]})`;
 
@@ -121,13 +273,20 @@ function renderCurrentStatus() {
         }).join(' ')
         : '<span class="text-slate-500 text-sm">特筆すべき吉日はありません</span>';
 
+    // Year Eto changes at 立春
+    document.getElementById('year-eto').textContent = `今年は${pillars.year.etoString}`;
+
     panel.innerHTML = `
         <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
             <!-- Today's Date -->
             <div class="flex flex-col justify-center">
                 <p class="text-xs text-slate-400 uppercase tracking-wider mb-1">TODAY</p>
                 <h3 class="text-xl font-bold text-white">${dateStr}</h3>
+                <p class="text-xs text-slate-500">${formatWareki(today)}</p>
                 <p class="text-sm text-slate-400 mt-1">${eto.etoString}の日</p>
+                <p class="text-xs text-slate-500">${formatKyusei(kyusei)}</p>
+                <p class="text-sm text-emerald-300 mt-2" title="${kou.description}">${kou.name}<span class="text-xs text-slate-500 ml-1">${kou.reading}</span></p>
+                <p class="text-xs text-slate-400">${kou.term.name}・${kou.position} ／ ${kou.description}</p>
             </div>
             
             <!-- Moon Phase -->
@@ -137,8 +296,9 @@ function renderCurrentStatus() {
                 </div>
                 <div>
                     <p class="text-xs text-indigo-300 uppercase tracking-wider mb-1">MOON</p>
-                    <div class="text-lg font-medium text-white">${moon.phaseName}</div>
+                    <div class="text-lg font-medium text-white">${moon.phaseEvent ? formatPhaseEvent(moon.phaseEvent) : moon.moonName.name}</div>
                     <div class="text-xs text-slate-400">月齢 ${moon.age} / 輝度 ${moon.illumination}%</div>
+                    <div class="text-xs text-slate-400">${formatMoonTimes(moonTimes)} (${currentLocation.name})</div>
                 </div>
             </div>
             
@@ -165,12 +325,198 @@ function setupEventListeners() {
         renderCalendar(currentDate);
         updateHeader();
     });
+
+    document.getElementById('jump-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('jump-input');
+        try {
+            jumpToDate(parseWareki(input.value));
+        } catch (err) {
+            alert(`日付を読み取れませんでした (${err.message})。「R8.10.19」「令和8年10月」「2026-10-19」のように入力してください。`);
+        }
+    });
+
+    const sunToggle = document.getElementById('sun-overlay-toggle');
+    sunToggle.checked = showSunOverlay;
+    sunToggle.addEventListener('change', () => {
+        showSunOverlay = sunToggle.checked;
+        localStorage.setItem(SUN_OVERLAY_STORAGE_KEY, showSunOverlay ? 'on' : 'off');
+        renderCalendar(currentDate);
+    });
+}
+
+/**
+ * Show the month containing `date` and highlight its cell
+ */
+function jumpToDate(date) {
+    currentDate = new Date(date.getFullYear(), date.getMonth(), 1);
+    renderCalendar(currentDate);
+    updateHeader();
+
+    const cell = document.querySelector(`#calendar-grid [data-day="${date.getDate()}"]`);
+    if (cell) {
+        cell.classList.add('ring-2', 'ring-indigo-400');
+        cell.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+}
+
+function setupExportPanel() {
+    const panel = document.getElementById('export-panel');
+    const startInput = document.getElementById('export-start');
+    const endInput = document.getElementById('export-end');
+
+    document.getElementById('export-types').innerHTML = ICS_EVENT_TYPES.map(t => `
+        <label class="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" name="export-type" value="${t.type}" checked class="accent-indigo-400">
+            ${t.label}
+        </label>
+    `).join('');
+
+    document.getElementById('month-export').addEventListener('click', () => {
+        const year = currentDate.getFullYear();
+        const month = currentDate.getMonth();
+        openExportPanel(new Date(year, month, 1), new Date(year, month + 1, 0));
+    });
+    document.getElementById('export-cancel').addEventListener('click', () => panel.classList.add('hidden'));
+
+    panel.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const start = parseInputDate(startInput.value);
+        const end = parseInputDate(endInput.value);
+        const types = [...panel.querySelectorAll('input[name="export-type"]:checked')].map(c => c.value);
+        if (end < start || types.length === 0) {
+            alert('期間と、追加する項目を1つ以上選んでください。');
+            return;
+        }
+
+        const ics = createIcs(start, end, types, {
+            describe: type => ICS_EVENT_TYPES.find(t => t.type === type).quarter === undefined ? getLuckyDescription(type) : ''
+        });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        link.download = `moon-lucky-calendar_${startInput.value}_${endInput.value}.ics`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+}
+
+function setupSearchPanel() {
+    const form = document.getElementById('search-form');
+    const results = document.getElementById('search-results');
+    const checkbox = (name, value, label) => `
+        <label class="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" name="${name}" value="${value}" class="accent-amber-400">
+            ${label}
+        </label>`;
+
+    document.getElementById('search-lucky').innerHTML = LUCKY_DAY_TYPES
+        .map(t => checkbox('search-lucky', t.type, t.label)).join('');
+    document.getElementById('search-weekdays').innerHTML = WEEKDAYS
+        .map((w, i) => checkbox('search-weekday', i, w)).join('');
+    document.getElementById('search-moon').innerHTML = '<option value="">指定なし</option>'
+        + MOON_PHASE_TYPES.map(p => `<option value="${p.type}">${p.label}</option>`).join('');
+    document.getElementById('search-rokuyo').innerHTML = '<option value="">指定なし</option>'
+        + ROKUYO.map(r => `<option value="${r.type}">${r.label}</option>`).join('');
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(c => c.value);
+        const etoInput = document.getElementById('search-eto').value;
+        let etoCondition;
+        try {
+            etoCondition = parseEtoCondition(etoInput);
+        } catch (err) {
+            results.innerHTML = '<li class="text-red-300">干支は「己」「巳」「己巳」のように十干・十二支か六十干支で入力してください。</li>';
+            return;
+        }
+        const moonPhase = document.getElementById('search-moon').value;
+        const rokuyo = document.getElementById('search-rokuyo').value;
+
+        const conditions = {
+            lucky: checked('search-lucky'),
+            weekdays: checked('search-weekday').map(Number),
+            moonPhase: moonPhase ? [moonPhase] : [],
+            rokuyo: rokuyo ? [rokuyo] : [],
+            ...etoCondition
+        };
+
+        const found = searchDays(conditions, { limit: 10, years: 30 });
+        results.innerHTML = found.length > 0
+            ? found.map((r, i) => `
+                <li>
+                    <button data-result="${i}" class="w-full text-left px-2 py-1 rounded hover:bg-white/10 transition-colors">
+                        <span class="text-slate-200">${r.date.getFullYear()}年${r.date.getMonth() + 1}月${r.date.getDate()}日 (${WEEKDAYS[r.date.getDay()]})</span>
+                        ${formatWareki(r.date) ? `<span class="text-xs text-slate-500 ml-1">${formatWareki(r.date)}</span>` : ''}
+                        <span class="text-xs text-slate-500 ml-1">${r.eto.etoString}</span>
+                        <span class="text-xs text-amber-200 ml-1">${r.lucky.map(l => l.label).join(' ')}</span>
+                        ${r.phaseEvent ? `<span class="text-xs text-indigo-200 ml-1">${formatPhaseEvent(r.phaseEvent)}</span>` : ''}
+                    </button>
+                </li>`).join('')
+            : '<li class="text-slate-500 italic">30年以内に条件を満たす日はありません。</li>';
+
+        results.querySelectorAll('[data-result]').forEach(button => {
+            button.addEventListener('click', () => jumpToDate(found[Number(button.dataset.result)].date));
+        });
+    });
+}
+
+/**
+ * Show the export form for the days from `start` to `end`
+ */
+function openExportPanel(start, end) {
+    document.getElementById('export-start').value = formatInputDate(start);
+    document.getElementById('export-end').value = formatInputDate(end);
+    const panel = document.getElementById('export-panel');
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * <input type="date"> value ("YYYY-MM-DD") of a local date, and back
+ */
+function formatInputDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseInputDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function setupLocationPicker() {
+    const select = document.getElementById('location-select');
+    const customForm = document.getElementById('custom-location');
+    const latInput = document.getElementById('custom-latitude');
+    const lonInput = document.getElementById('custom-longitude');
+
+    select.innerHTML = CITY_PRESETS.map(c => `<option value="${c.id}">${c.name}</option>`).join('')
+        + '<option value="custom">緯度・経度を指定</option>';
+    select.value = currentLocation.id;
+    latInput.value = currentLocation.latitude;
+    lonInput.value = currentLocation.longitude;
+    customForm.classList.toggle('hidden', currentLocation.id !== 'custom');
+
+    select.addEventListener('change', () => {
+        const isCustom = select.value === 'custom';
+        customForm.classList.toggle('hidden', !isCustom);
+        if (!isCustom) setLocation(getCityPreset(select.value));
+    });
+
+    customForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        try {
+            setLocation(createLocation(parseFloat(latInput.value), parseFloat(lonInput.value)));
+        } catch (err) {
+            alert('緯度は -90〜90、経度は -180〜180 の数値で入力してください。');
+        }
+    });
 }
 
 function updateHeader() {
     const year = currentDate.getFullYear();
     const month = currentDate.getMonth() + 1;
-    document.getElementById('current-month-label').textContent = `${year}年 ${month}月`;
+    document.getElementById('current-month-label').innerHTML =
+        `${year}年 ${month}月<span class="block text-xs font-normal text-slate-400">${formatWarekiMonth(year, month)}</span>`;
 }
 
 function renderCalendar(date) {
@@ -205,6 +551,9 @@ function renderCalendar(date) {
         grid.appendChild(empty);
     }
 
+    // Multi-day periods, drawn as bars under each week
+    const periods = getSenjitsuPeriods(firstDay, lastDay);
+
     // Days
     const today = new Date();
 
@@ -212,35 +561,80 @@ function renderCalendar(date) {
         const currentLoopDate = new Date(year, month, d);
         const cell = document.createElement('div');
         cell.className = 'day-cell group relative overflow-hidden';
+        cell.dataset.day = d;
+        const wareki = formatWareki(currentLoopDate);
+        cell.title = `${year}年${month + 1}月${d}日${wareki ? ` (${wareki})` : ''}`;
 
         // Is Today?
         if (today.toDateString() === currentLoopDate.toDateString()) {
             cell.classList.add('today');
         }
 
+        const holiday = getHoliday(currentLoopDate);
+        if (holiday) {
+            cell.classList.add('holiday');
+        }
+
         // Data
         const luckyDays = getLuckyDays(currentLoopDate); // [{type, label}]
         const moon = getMoonPhase(currentLoopDate);
         const eto = getEto(currentLoopDate);
+        const solarTerm = getSolarTerm(currentLoopDate);
+        const kyureki = getKyureki(currentLoopDate);
+        const rokuyo = getRokuyo(currentLoopDate);
+        const unluckyDays = getUnluckyDays(currentLoopDate);
+        const junichoku = getJunichoku(currentLoopDate);
+        const voids = getVoidTime(currentLoopDate);
+        const moonSign = getMoonSign(currentLoopDate);
+        const sunTimes = showSunOverlay ? getSunTimes(currentLoopDate, currentLocation) : null;
+        const astroEvents = getAstroEventsForDay(currentLoopDate, currentLocation);
+        const doyoUshi = getDoyoUshi(currentLoopDate);
+        const zassetsu = getZassetsu(currentLoopDate);
 
         // Content
+        const holidayHtml = holiday ? `<span class="text-[10px] block text-red-400 truncate">${holiday.name}</span>` : '';
+        const termHtml = solarTerm ? `<span class="text-[10px] block text-emerald-300">${solarTerm.name}</span>` : '';
+        const doyoUshiHtml = doyoUshi ? `<span class="text-[10px] block text-amber-300">${doyoUshi.label}</span>` : '';
+        const signHtml = `<span class="text-[10px] text-slate-500 mr-auto" title="月星座">${formatSignGlyph(moonSign.sign)}${moonSign.ingress ? `→${formatSignGlyph(moonSign.ingress.sign)}` : ''}</span>`;
+        const sunHtml = sunTimes
+            ? `<span class="text-[10px] block text-amber-200/70">☀ ${formatOptionalTime(sunTimes.sunrise)}〜${formatOptionalTime(sunTimes.sunset)}</span>`
+            : '';
+        // 赤口/仏滅 already show as the Rokuyo label
+        const unluckyHtml = unluckyDays
+            .filter(u => u.type !== rokuyo.type)
+            .map(u => `<span class="text-[10px] block text-rose-400/80">${u.label}</span>`).join('');
+        const astroHtml = astroEvents.map(e => `<span class="text-[10px] block ${getAstroEventColorClass(e.type)}">${e.label}</span>`).join('');
+        const voidHtml = voids.map(v => `<span class="text-[10px] block text-accent-void">ボイド ${formatDayRange(v.start, v.end, currentLoopDate)}</span>`).join('');
         let badgesHtml = luckyDays.map(l => {
             const extraClass = l.type === 'tensha' ? 'badge-tensha' : 'bg-clip-text text-transparent bg-gradient-to-r from-amber-200 to-yellow-500';
             return `<span class="text-[10px] block ${extraClass}">${l.label}</span>`;
         }).join('');
+        badgesHtml += zassetsu.map(z => `<span class="text-[10px] block text-teal-200">${z.label}</span>`).join('');
 
         cell.innerHTML = `
             <div class="flex justify-between items-start z-10">
-                <span class="font-medium ${currentLoopDate.getDay() === 0 ? 'text-red-400' : currentLoopDate.getDay() === 6 ? 'text-blue-400' : 'text-slate-300'}">${d}</span>
-                <span class="text-[10px] text-slate-500">${eto.etoString}</span>
+                <span class="font-medium ${currentLoopDate.getDay() === 0 || holiday ? 'text-red-400' : currentLoopDate.getDay() === 6 ? 'text-blue-400' : 'text-slate-300'}">${d}</span>
+                <span class="text-[10px] text-slate-500">${eto.etoString} ${junichoku.name}</span>
+            </div>
+            <div class="flex justify-between items-center text-[10px] z-10">
+                <span class="text-slate-500">旧${kyureki.isLeap ? '閏' : ''}${kyureki.month}/${kyureki.day}</span>
+                <span class="${getRokuyoColorClass(rokuyo.type)}">${rokuyo.label}</span>
             </div>
             
             <div class="flex flex-col gap-1 mt-1 z-10">
+                ${holidayHtml}
+                ${termHtml}
+                ${doyoUshiHtml}
+                ${astroHtml}
                 ${badgesHtml}
+                ${unluckyHtml}
+                ${voidHtml}
+                ${sunHtml}
             </div>
             
             <div class="mt-auto flex items-center justify-end gap-1 z-10">
-                 <span class="text-[10px] text-slate-400 mr-1">${moon.phaseName}</span>
+                 ${signHtml}
+                 <span class="text-[10px] text-slate-400 mr-1">${formatPhaseEvent(moon.phaseEvent)}</span>
                  <!-- Moon Icon -->
                  ${getMoonPhaseHTML(moon.degrees, parseFloat(moon.illumination), 16)}
             </div>
@@ -253,25 +647,104 @@ function renderCalendar(date) {
         cell.addEventListener('click', () => openModal(currentLoopDate, moon, luckyDays, eto));
 
         grid.appendChild(cell);
+
+        // Close the week with its period bars
+        if (currentLoopDate.getDay() === 6 || d === daysInMonth) {
+            const weekStart = new Date(year, month, Math.max(1, d - currentLoopDate.getDay()));
+            const periodRow = createPeriodRow(periods, weekStart, currentLoopDate);
+            if (periodRow) grid.appendChild(periodRow);
+        }
     }
 }
 
+/**
+ * A full-width grid row with Senjitsu period bars for one week.
+ * Bars span the day columns they cover; overlapping periods stack in lanes.
+ * Returns null when no period touches the week.
+ */
+function createPeriodRow(periods, weekStart, weekEnd) {
+    const segments = periods.filter(p => p.end >= weekStart && p.start <= weekEnd);
+    if (segments.length === 0) return null;
+
+    const row = document.createElement('div');
+    row.className = 'col-span-7 grid grid-cols-7 gap-x-2 md:gap-x-4 gap-y-0.5 -mt-1';
+
+    const laneEnds = []; // Last column used in each lane
+    row.innerHTML = segments.map(p => {
+        const continuesBefore = p.start < weekStart;
+        const continuesAfter = p.end > weekEnd;
+        const fromColumn = (continuesBefore ? weekStart : p.start).getDay() + 1;
+        const toColumn = (continuesAfter ? weekEnd : p.end).getDay() + 1;
+
+        let lane = laneEnds.findIndex(end => end < fromColumn);
+        if (lane === -1) lane = laneEnds.length;
+        laneEnds[lane] = toColumn;
+
+        const mabi = p.mabi.length > 0 ? ` (間日 ${p.mabi.map(m => `${m.getMonth() + 1}/${m.getDate()}`).join(', ')})` : '';
+        const rounded = `${continuesBefore ? '' : 'rounded-l'} ${continuesAfter ? '' : 'rounded-r'}`;
+        return `<div class="text-[10px] leading-4 px-1 truncate ${rounded} ${getSenjitsuColorClass(p.type)}"
+            style="grid-column: ${fromColumn} / ${toColumn + 1}; grid-row: ${lane + 1};"
+            title="${p.label} ${formatDateRange(p.start, p.end)}${mabi}">${continuesBefore ? '◀ ' : ''}${p.label}${continuesAfter ? ' ▶' : ''}</div>`;
+    }).join('');
+
+    return row;
+}
+
 function openModal(date, moon, luckyDays, eto) {
     const modal = document.getElementById('day-modal');
     const content = document.getElementById('modal-content');
 
     // Format Date
     const dateStr = `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日 (${WEEKDAYS[date.getDay()]})`;
+    const solarTerm = getCurrentSolarTerm(date);
+    const termStartsToday = getSolarTerm(date) !== null;
+    const kyureki = getKyureki(date);
+    const rokuyo = getRokuyo(date);
+    const unluckyDays = getUnluckyDays(date);
+    const junichoku = getJunichoku(date);
+    const shuku28 = getNijuhasshuku(date);
+    const shuku27 = getNijushichishuku(date);
+    const kyusei = getKyusei(date);
+    // 時柱 for the current time of day until another time is picked
+    const now = new Date();
+    const pillars = getPillars(new Date(date.getFullYear(), date.getMonth(), date.getDate(), now.getHours(), now.getMinutes()));
+    const senjitsu = getSenjitsu(date);
+    const doyoUshi = getDoyoUshi(date);
+    const zassetsu = getZassetsu(date);
+    const kou = getKou(date);
+    const holiday = getHoliday(date);
+    const conflictNote = getConflictNote(luckyDays, unluckyDays);
+    const voids = getVoidTime(date);
+    const moonSign = getMoonSign(date);
+    const moonTimes = getMoonTimes(date, currentLocation);
+    const sunTimes = getSunTimes(date, currentLocation);
+    const astroEvents = getAstroEventsForDay(date, currentLocation);
 
     content.innerHTML = `
         <div class="flex justify-between items-start mb-6">
             <div>
                 <h3 class="text-2xl font-bold text-white">${dateStr}</h3>
-                <p class="text-slate-400">${eto.etoString}の日</p>
+                <p class="text-sm text-slate-500">${formatWareki(date)}</p>
+                ${holiday ? `<p class="text-red-400 font-medium">${holiday.name}</p>` : ''}
+                <p class="text-slate-400">${eto.etoString}の日 ・ 旧暦 ${formatKyureki(kyureki)}</p>
+                <p class="text-sm text-slate-500">
+                    ${pillars.year.etoString}年 ${pillars.month.etoString}月 ${pillars.day.etoString}日
+                    <span id="modal-hour-pillar">${pillars.hour.etoString}時</span>
+                    <input id="modal-hour-time" type="time" value="${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}"
+                        aria-label="時柱の時刻" class="ml-1 bg-slate-800 border border-white/10 rounded px-1 text-xs text-slate-300">
+                </p>
+                <p class="text-sm text-emerald-300">${termStartsToday ? `本日${solarTerm.name}` : `${solarTerm.name}の候`}</p>
+                <p class="text-sm text-emerald-200">${kou.position}「${kou.name}」<span class="text-xs text-slate-500">${kou.reading}</span></p>
+                <p class="text-xs text-slate-400">${kou.description}</p>
+            </div>
+            <div class="flex flex-col items-end gap-2">
+                <button id="close-modal" class="p-2 hover:bg-white/10 rounded-full transition-colors">
+                    <i data-lucide="x"></i>
+                </button>
+                <button id="modal-export" class="flex items-center gap-1 text-xs text-slate-400 hover:text-white transition-colors whitespace-nowrap">
+                    <i data-lucide="calendar-plus" class="w-4 h-4"></i> カレンダーに追加
+                </button>
             </div>
-            <button id="close-modal" class="p-2 hover:bg-white/10 rounded-full transition-colors">
-                <i data-lucide="x"></i>
-            </button>
         </div>
 
         <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -283,11 +756,33 @@ function openModal(date, moon, luckyDays, eto) {
                 <div class="flex items-center gap-4">
                     ${getMoonPhaseHTML(moon.degrees, parseFloat(moon.illumination), 64)}
                     <div>
-                        ${moon.phaseName ? `<div class="text-xl font-medium">${moon.phaseName}</div>` : ''}
-                        <div class="text-sm text-slate-400">月齢: ${moon.age}</div>
+                        ${moon.phaseEvent ? `<div class="text-xl font-medium">${formatPhaseEvent(moon.phaseEvent)}</div>` : ''}
+                        <div class="text-sm text-slate-400">月齢: ${moon.age} (正午)</div>
                         <div class="text-sm text-slate-500">輝度: ${moon.illumination}%</div>
                     </div>
                 </div>
+                <div class="mt-3 pt-3 border-t border-white/5">
+                    <span class="text-sm font-bold text-indigo-200">${moon.moonName.name}</span>
+                    <span class="text-xs text-slate-500 ml-1">${moon.moonName.reading}</span>
+                    <p class="text-sm text-slate-300">${getMoonNameDescription(moon.moonName.key)}</p>
+                </div>
+                <div class="mt-3 pt-3 border-t border-white/5">
+                    <p class="text-xs text-indigo-300 uppercase tracking-wider mb-1">月の出入り (${currentLocation.name})</p>
+                    <div class="text-sm text-slate-300">${formatMoonTimes(moonTimes)}</div>
+                    ${moonTimes.transitAltitude !== null ? `<div class="text-xs text-slate-500">南中高度 ${moonTimes.transitAltitude.toFixed(0)}°</div>` : ''}
+                </div>
+                <div class="mt-3 pt-3 border-t border-white/5">
+                    <p class="text-xs text-indigo-300 uppercase tracking-wider mb-1">月星座</p>
+                    <div class="text-sm text-slate-300">
+                        ${formatSignGlyph(moonSign.sign)} ${moonSign.sign.name}
+                        ${moonSign.ingress ? ` → ${formatJstTime(moonSign.ingress.time)} ${formatSignGlyph(moonSign.ingress.sign)} ${moonSign.ingress.sign.name}` : ''}
+                    </div>
+                </div>
+                ${voids.length > 0 ? `
+                <div class="mt-3 pt-3 border-t border-white/5">
+                    <p class="text-xs text-accent-void uppercase tracking-wider mb-1">VOID OF COURSE</p>
+                    ${voids.map(v => `<div class="text-sm text-slate-300">${formatJstDateTime(v.start)} 〜 ${formatJstDateTime(v.end)} (${v.sign.name}へ)</div>`).join('')}
+                </div>` : ''}
             </div>
 
             <!-- Lucky Section -->
@@ -295,6 +790,46 @@ function openModal(date, moon, luckyDays, eto) {
                 <h4 class="text-sm text-amber-300 font-semibold mb-3 flex items-center gap-2">
                     <i data-lucide="sparkles"></i> DAILY FORTUNE
                 </h4>
+                <div class="mb-3 pb-3 border-b border-white/5">
+                    <span class="text-sm font-bold ${getRokuyoColorClass(rokuyo.type)}">${rokuyo.label}</span>
+                    <p class="text-sm text-slate-300">${getRokuyoDescription(rokuyo.type)}</p>
+                </div>
+                <div class="mb-3 pb-3 border-b border-white/5">
+                    <span class="text-sm font-bold text-slate-200">十二直「${junichoku.name}」</span>
+                    <span class="text-xs text-slate-500 ml-1">${junichoku.reading}</span>
+                    <p class="text-sm text-slate-300">${junichoku.meaning}</p>
+                </div>
+                <div class="mb-3 pb-3 border-b border-white/5 space-y-2">
+                    ${[['二十八宿', shuku28], ['二十七宿', shuku27]].map(([title, shuku]) => `
+                        <div>
+                            <span class="text-sm font-bold text-slate-200">${title}「${shuku.name}宿」</span>
+                            <span class="text-xs text-slate-500 ml-1">${shuku.reading}しゅく</span>
+                            <p class="text-sm text-slate-300">吉: ${shuku.good}${shuku.bad ? ` ／ 凶: ${shuku.bad}` : ''}</p>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="mb-3 pb-3 border-b border-white/5">
+                    <span class="text-sm font-bold text-slate-200">九星</span>
+                    <span class="text-xs text-slate-500 ml-1">${kyusei.dayCycle === 'yang' ? '陽遁' : '陰遁'}</span>
+                    <p class="text-sm text-slate-300">${formatKyusei(kyusei)}</p>
+                </div>
+                ${senjitsu.length > 0 ? `
+                <div class="mb-3 pb-3 border-b border-white/5 space-y-2">
+                    ${senjitsu.map(p => `
+                        <div>
+                            <span class="inline-block px-2 py-0.5 rounded text-xs font-bold ${getSenjitsuColorClass(p.type)}">${p.label}</span>
+                            <span class="text-xs text-slate-500 ml-1">${formatDateRange(p.start, p.end)}${p.isMabi ? ' ・ 本日は間日' : ''}</span>
+                            <p class="text-sm text-slate-300">${getSenjitsuDescription(p.type)}</p>
+                        </div>
+                    `).join('')}
+                    ${doyoUshi ? `<p class="text-sm text-amber-200">${doyoUshi.label}: ${getSenjitsuDescription(doyoUshi.type)}</p>` : ''}
+                </div>` : ''}
+                ${zassetsu.map(z => `
+                    <div class="mb-2">
+                        <span class="inline-block px-2 py-1 rounded bg-teal-500/20 text-teal-200 text-xs font-bold mb-1 border border-teal-500/30">${z.label}</span>
+                        <p class="text-sm text-slate-300">${getZassetsuDescription(z.type)}</p>
+                    </div>
+                `).join('')}
                 ${luckyDays.length > 0 ?
             luckyDays.map(l => `
                         <div class="mb-2 last:mb-0">
@@ -306,6 +841,58 @@ function openModal(date, moon, luckyDays, eto) {
                     `).join('')
             : '<p class="text-slate-500 text-sm italic">特筆すべき吉日はありません。<br>平穏な一日を。</p>'
         }
+                ${unluckyDays.length > 0 ? `
+                <div class="mt-3 pt-3 border-t border-white/5">
+                    ${unluckyDays.map(u => `
+                        <div class="mb-2 last:mb-0">
+                            <span class="inline-block px-2 py-1 rounded bg-rose-500/20 text-rose-200 text-xs font-bold mb-1 border border-rose-500/30">${u.label}</span>
+                            <p class="text-sm text-slate-300">${getUnluckyDescription(u.type)}</p>
+                        </div>
+                    `).join('')}
+                </div>` : ''}
+                ${conflictNote ? `
+                <div class="mt-3 p-3 rounded-lg bg-amber-500/10 border border-amber-500/20 text-sm text-amber-100">
+                    <i data-lucide="scale" class="inline w-4 h-4 mr-1"></i>${conflictNote}
+                </div>` : ''}
+            </div>
+
+            ${astroEvents.length > 0 ? `
+            <!-- Astronomical Events Section -->
+            <div class="bg-white/5 rounded-xl p-4 border border-white/5 md:col-span-2">
+                <h4 class="text-sm text-rose-300 font-semibold mb-3 flex items-center gap-2">
+                    <i data-lucide="telescope"></i> ASTRONOMICAL EVENTS
+                </h4>
+                ${astroEvents.map(e => `
+                    <div class="mb-3 last:mb-0">
+                        <span class="text-sm font-bold ${getAstroEventColorClass(e.type)}">${e.label}</span>
+                        <span class="text-xs text-slate-400 ml-1">${formatJstTime(e.time)}</span>
+                        ${e.distanceKm ? `<span class="text-xs text-slate-500 ml-1">(${Math.round(e.distanceKm).toLocaleString()} km)</span>` : ''}
+                        <p class="text-sm text-slate-300">${getAstroEventDescription(e.type)}</p>
+                        ${e.visible === false ? `<p class="text-xs text-slate-500">${currentLocation.name}からは見えません</p>` : ''}
+                        ${e.contacts ? `
+                        <div class="mt-1 text-xs text-slate-400 space-y-0.5">
+                            ${e.contacts.map(c => `<div>${c.name} ${formatJstTime(c.time)} <span class="${c.altitude > 0 ? 'text-slate-400' : 'text-slate-600'}">(高度 ${c.altitude.toFixed(0)}°${c.altitude > 0 ? '' : '・地平線下'})</span></div>`).join('')}
+                        </div>` : ''}
+                    </div>
+                `).join('')}
+            </div>` : ''}
+
+            <!-- Sun Section -->
+            <div class="bg-white/5 rounded-xl p-4 border border-white/5 md:col-span-2">
+                <h4 class="text-sm text-orange-300 font-semibold mb-3 flex items-center gap-2">
+                    <i data-lucide="sun"></i> SUN (${currentLocation.name})
+                </h4>
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                    <div><p class="text-xs text-slate-500">日の出</p><p class="text-slate-200">${formatOptionalTime(sunTimes.sunrise)}</p></div>
+                    <div><p class="text-xs text-slate-500">南中</p><p class="text-slate-200">${formatJstTime(sunTimes.solarNoon)} (${sunTimes.solarNoonAltitude.toFixed(0)}°)</p></div>
+                    <div><p class="text-xs text-slate-500">日の入</p><p class="text-slate-200">${formatOptionalTime(sunTimes.sunset)}</p></div>
+                    <div><p class="text-xs text-slate-500">昼の長さ</p><p class="text-slate-200">${sunTimes.dayLength !== null ? `${Math.floor(sunTimes.dayLength / 60)}時間${sunTimes.dayLength % 60}分` : '--'}</p></div>
+                </div>
+                <div class="mt-3 pt-3 border-t border-white/5 text-xs text-slate-400 space-y-1">
+                    <div>市民薄明 ${formatOptionalTime(sunTimes.civilDawn)} / ${formatOptionalTime(sunTimes.civilDusk)}</div>
+                    <div>航海薄明 ${formatOptionalTime(sunTimes.nauticalDawn)} / ${formatOptionalTime(sunTimes.nauticalDusk)}</div>
+                    <div>天文薄明 ${formatOptionalTime(sunTimes.astronomicalDawn)} / ${formatOptionalTime(sunTimes.astronomicalDusk)}</div>
+                </div>
             </div>
         </div>
     `;
@@ -318,6 +905,16 @@ function openModal(date, moon, luckyDays, eto) {
 
     // Close Logic
     document.getElementById('close-modal').addEventListener('click', closeModal);
+    document.getElementById('modal-export').addEventListener('click', () => {
+        closeModal();
+        openExportPanel(date, date);
+    });
+    document.getElementById('modal-hour-time').addEventListener('input', (e) => {
+        if (!e.target.value) return;
+        const [hours, minutes] = e.target.value.split(':').map(Number);
+        const hourPillar = getPillars(new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes)).hour;
+        document.getElementById('modal-hour-pillar').textContent = `${hourPillar.etoString}時`;
+    });
     modal.addEventListener('click', (e) => {
         if (e.target === modal) closeModal();
     });
@@ -338,3 +935,105 @@ function getLuckyDescription(type) {
     };
     return dict[type] || '良い日です。';
 }
+
+function getRokuyoDescription(type) {
+    const dict = {
+        'sensho': '「先んずれば勝つ」。午前中が吉、午後は凶。急ぎの用事や訴訟に良い日。',
+        'tomobiki': '「友を引く」。朝晩は吉、正午は凶。慶事に良いが、葬儀は避けるのが慣わし。',
+        'senbu': '「先んずれば負ける」。午前は凶、午後は吉。争い事や急用は控えめに。',
+        'butsumetsu': '「仏も滅する」ほどの凶日。祝い事は避けられるが、物事の終わりや仕切り直しには良いとも。',
+        'taian': '「大いに安し」。終日万事に吉。結婚式や開店、引っ越しなどに最も選ばれる日。',
+        'shakko': '正午の前後のみ吉、それ以外は凶。火や刃物に注意する日とされる。'
+    };
+    return dict[type] || '';
+}
+
+function getMoonNameDescription(key) {
+    const dict = {
+        'shingetsu': '月と太陽が同じ方向に並び、月が見えない日。朔（さく）とも。新しい周期の始まり。',
+        'sengetsu': '糸のように細い月。日没直後の西の低い空にわずかに見える。',
+        'mikazuki': '夕方の西空に輝く細い弓形の月。古くから美しい月の代名詞。',
+        'jougen': '右半分が光る半月。夕方に南の空に昇り、真夜中に沈む。弓張月とも。',
+        'tokanya': '旧暦十月十日に収穫を祝う「十日夜」の行事に由来する月。',
+        'jusanya': '満月の少し手前の月。十五夜と並ぶ名月とされ、「後の月」とも。',
+        'komochizuki': '望月（満月）を翌日に控えた月。待宵（まつよい）とも呼ばれる。',
+        'jugoya': '満月の夜の月。望月（もちづき）とも。お月見の主役。',
+        'izayoi': '満月よりわずかに遅れて、ためらう（いざよう）ように昇る月。',
+        'tachimachi': '立って待つうちに昇ってくる月。',
+        'imachi': '座って待つほど月の出が遅くなった月。',
+        'nemachi': '寝て待つほど月の出が遅い月。臥待月（ふしまちづき）とも。',
+        'fukemachi': '夜更けにようやく昇る月。',
+        'nijusanya': '下弦の頃の月。真夜中に昇り、二十三夜待ちの月待ち行事で拝まれた。',
+        'nijurokuya': '明け方に昇る細い月。江戸では二十六夜待ちとして月の出を拝んだ。',
+        'ariake': '夜明けの空に残る月。明け方の東の空に見える。',
+        'misokazuki': '月の終わり（晦日）の月。夜明け前にわずかに見えるか、ほとんど見えない。',
+        'waxing': '夕方の空に見え、日ごとに満ちていく月。',
+        'waning': '夜更けから明け方に見え、日ごとに欠けていく月。'
+    };
+    return dict[key] || '';
+}
+
+function getAstroEventDescription(type) {
+    const dict = {
+        'lunar-eclipse': '月が地球の影に入り、欠けて見える現象。皆既中は赤銅色に見える。',
+        'solar-eclipse': '月が太陽の前を横切り、太陽が欠けて見える現象。観察には必ず日食グラスを。',
+        'perigee': '月が地球に最も近づく日。潮の干満が大きくなりやすい。',
+        'apogee': '月が地球から最も遠ざかる日。',
+        'supermoon': '地球に近い位置で迎える満月。いつもより大きく明るく見える。'
+    };
+    return dict[type] || '';
+}
+
+function getUnluckyDescription(type) {
+    const dict = {
+        'fujoju': '何事も成就しないとされる凶日。新しく始めること、願い事、契約は避けるのが無難。',
+        'sanrinbo': '「三軒隣まで亡ぼす」とされる建築の大凶日。棟上げや着工は避けられる。',
+        'jushi': '暦の上で最悪の大凶日（黒日）。葬儀以外の万事に凶とされる。',
+        'jusshi': '「十割死」とも呼ばれ、何事にも凶とされる日。',
+        'shakko': '赤口神が人を悩ます日。正午の前後を除いて凶。火や刃物に注意。',
+        'butsumetsu': '六曜で最も凶とされる日。祝い事は控えられることが多い。'
+    };
+    return dict[type] || '注意が必要な日です。';
+}
+
+function getSenjitsuDescription(type) {
+    const dict = {
+        'doyo': '季節の変わり目の約18日間。土の気が盛んになるとされ、土を動かす作業（土いじり・基礎工事）は避けられる。間日は差し支えないとされる。',
+        'doyo-ushi': '土用期間中の丑の日。「う」の付く食べ物、特に鰻を食べて夏バテを防ぐ風習がある。',
+        'happen': '壬子から癸亥までの12日間のうち間日を除く8日。同じ気が重なり、仏事・婚礼・建築などに凶とされる。',
+        'jippogure': '甲申から癸巳までの10日間。天地の気が和合せず、何事も相談がまとまりにくいとされる。',
+        'tenichitenjo': '癸巳から戊申までの16日間。方位神の天一神が天に昇っているため、どの方角へ出かけても障りがないとされる。'
+    };
+    return dict[type] || '';
+}
+
+function getZassetsuDescription(type) {
+    const dict = {
+        'setsubun': '立春の前日で、季節を分ける日。豆まきで鬼（邪気）を払い、新しい年（節年）を迎える。',
+        'higan': '春分・秋分を中日とする前後7日間。墓参りや先祖供養を行う。「暑さ寒さも彼岸まで」。',
+        'shanichi': '春分・秋分に最も近い戊の日。産土神（土地の神）を祀り、春は豊作を祈り秋は収穫に感謝する。土いじりは控える日とされる。',
+        'hachijuhachiya': '立春から88日目。「八十八夜の別れ霜」と言われ、遅霜への注意の目安。茶摘みや種まきの時期。',
+        'nyubai': '暦の上での梅雨入り（太陽黄経80°）。田植えの目安とされた。',
+        'hangesho': '太陽黄経100°。この日までに田植えを終える目安とされ、天から毒気が降るとして野菜の収穫を控える風習もある。',
+        'nihyakutoka': '立春から210日目。台風が多く稲の開花期と重なるため、農家の厄日とされる。',
+        'nihyakuhatsuka': '立春から220日目。二百十日と並ぶ台風の厄日。'
+    };
+    return dict[type] || '';
+}
+
+/**
+ * Explain what happens when lucky and unlucky days fall on the same day
+ */
+function getConflictNote(luckyDays, unluckyDays) {
+    if (luckyDays.length === 0 || unluckyDays.length === 0) return '';
+
+    const luckyLabels = luckyDays.map(l => l.label).join('・');
+    const unluckyLabels = unluckyDays.map(u => u.label).join('・');
+    if (luckyDays.some(l => l.type === 'tensha')) {
+        return `${luckyLabels}と${unluckyLabels}が重なっています。天赦日は他の凶を打ち消す最上の吉日とされ、吉が優先されます。`;
+    }
+    if (unluckyDays.some(u => u.type === 'fujoju')) {
+        return `${luckyLabels}と${unluckyLabels}が重なっています。不成就日は吉日の効果を打ち消すとされるため、大切な事の始まりは別の日を選ぶのが無難です。`;
+    }
+    return `${luckyLabels}と${unluckyLabels}が重なっています。吉日の効果は半減するとされるので、凶日の慎むべき事柄は避けつつ過ごしましょう。`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Astronomical Events Module
+ * Eclipses, lunar perigee/apogee and supermoons.
+ * Uses Astronomy Engine from AstronomyBackend.js
+ */
+import { MS_PER_DAY, MS_PER_MINUTE, jstMidnight, jstDayNumber, toDayNumber } from './DateUtil.js';
+import { DEFAULT_LOCATION } from './Location.js';
+import { getMoonPhaseEvents } from './MoonData.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+const LUNAR_ECLIPSE_LABELS = {
+    penumbral: '半影月食',
+    partial: '部分月食',
+    total: '皆既月食'
+};
+
+const SOLAR_ECLIPSE_LABELS = {
+    partial: '部分日食',
+    annular: '金環日食',
+    total: '皆既日食'
+};
+
+// A full moon this close (geocentric, km) counts as a supermoon.
+// There is no official definition; 360,000 km picks the few largest full moons of a year.
+const SUPERMOON_MAX_DISTANCE_KM = 360000;
+
+// Events per month and location ("YYYY-M@lat,lon")
+const eventCache = new Map();
+
+/**
+ * All eclipses, perigees/apogees and supermoons whose JST date falls in the given month.
+ * Eclipse visibility and contact altitudes are for `location`.
+ *
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {{ latitude: number, longitude: number }} [location] - Defaults to Tokyo
+ * @returns {Array<{ type: string, label: string, time: Date, ... }>} sorted by time
+ */
+export function getAstroEvents(year, month, location = DEFAULT_LOCATION) {
+    const Astronomy = getAstronomy();
+
+    const key = `${year}-${month}@${location.latitude},${location.longitude}`;
+    if (eventCache.has(key)) return eventCache.get(key);
+
+    const from = jstMidnight(year, month, 1);
+    const to = jstMidnight(year, month + 1, 1);
+    const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+
+    const events = [
+        ...findLunarEclipses(from, to, observer),
+        ...findSolarEclipses(from, to, observer),
+        ...findLunarApsides(from, to),
+        ...findSupermoons(year, month)
+    ].sort((a, b) => a.time - b.time);
+
+    eventCache.set(key, events);
+    return events;
+}
+
+/**
+ * Events on the given DAY (JST)
+ * @param {Date} date
+ * @param {{ latitude: number, longitude: number }} [location]
+ */
+export function getAstroEventsForDay(date, location = DEFAULT_LOCATION) {
+    const dayNumber = toDayNumber(date);
+    return getAstroEvents(date.getFullYear(), date.getMonth() + 1, location)
+        .filter(e => jstDayNumber(e.time) === dayNumber);
+}
+
+/**
+ * Lunar eclipses with contact times and the Moon's altitude at each contact
+ */
+function findLunarEclipses(from, to, observer) {
+    const Astronomy = getAstronomy();
+
+    const events = [];
+    let eclipse = Astronomy.SearchLunarEclipse(from);
+    while (eclipse.peak.date < to) {
+        const peak = eclipse.peak.date;
+        const at = minutes => new Date(peak.getTime() + minutes * MS_PER_MINUTE);
+
+        const contacts = [
+            { name: '半影食の始め', time: at(-eclipse.sd_penum) },
+            eclipse.sd_partial > 0 && { name: '部分食の始め', time: at(-eclipse.sd_partial) },
+            eclipse.sd_total > 0 && { name: '皆既食の始め', time: at(-eclipse.sd_total) },
+            { name: '食の最大', time: peak },
+            eclipse.sd_total > 0 && { name: '皆既食の終わり', time: at(eclipse.sd_total) },
+            eclipse.sd_partial > 0 && { name: '部分食の終わり', time: at(eclipse.sd_partial) },
+            { name: '半影食の終わり', time: at(eclipse.sd_penum) }
+        ].filter(Boolean).map(c => ({ ...c, altitude: getMoonAltitude(c.time, observer) }));
+
+        events.push({
+            type: 'lunar-eclipse',
+            kind: eclipse.kind,
+            label: LUNAR_ECLIPSE_LABELS[eclipse.kind],
+            time: peak,
+            obscuration: eclipse.obscuration,
+            contacts,
+            // Visible if the Moon is up at any contact of the eclipse
+            visible: contacts.some(c => c.altitude > 0)
+        });
+        eclipse = Astronomy.NextLunarEclipse(eclipse.peak);
+    }
+    return events;
+}
+
+/**
+ * Solar eclipses anywhere on Earth, with the local circumstances when seen from the observer
+ */
+function findSolarEclipses(from, to, observer) {
+    const Astronomy = getAstronomy();
+
+    const events = [];
+    let eclipse = Astronomy.SearchGlobalSolarEclipse(from);
+    while (eclipse.peak.date < to) {
+        const peak = eclipse.peak.date;
+        // The local search returns the next eclipse visible from here; it is this one
+        // only if it peaks within a day of the global peak.
+        const local = Astronomy.SearchLocalSolarEclipse(new Date(peak.getTime() - MS_PER_DAY), observer);
+        const visible = Math.abs(local.peak.time.date - peak) < MS_PER_DAY;
+
+        const event = {
+            type: 'solar-eclipse',
+            kind: eclipse.kind,
+            label: SOLAR_ECLIPSE_LABELS[visible ? local.kind : eclipse.kind],
+            time: visible ? local.peak.time.date : peak,
+            visible
+        };
+        if (visible) {
+            event.obscuration = local.obscuration;
+            event.contacts = [
+                { name: '食の始め', time: local.partial_begin.time, altitude: local.partial_begin.altitude },
+                local.total_begin && { name: '中心食の始め', time: local.total_begin.time, altitude: local.total_begin.altitude },
+                { name: '食の最大', time: local.peak.time, altitude: local.peak.altitude },
+                local.total_end && { name: '中心食の終わり', time: local.total_end.time, altitude: local.total_end.altitude },
+                { name: '食の終わり', time: local.partial_end.time, altitude: local.partial_end.altitude }
+            ].filter(Boolean).map(c => ({ ...c, time: c.time.date }));
+        }
+        events.push(event);
+        eclipse = Astronomy.NextGlobalSolarEclipse(eclipse.peak);
+    }
+    return events;
+}
+
+/**
+ * Lunar perigees and apogees
+ */
+function findLunarApsides(from, to) {
+    const Astronomy = getAstronomy();
+
+    const events = [];
+    let apsis = Astronomy.SearchLunarApsis(from);
+    while (apsis.time.date < to) {
+        const isPerigee = apsis.kind === Astronomy.ApsisKind.Pericenter;
+        events.push({
+            type: isPerigee ? 'perigee' : 'apogee',
+            label: isPerigee ? '月の近地点' : '月の遠地点',
+            time: apsis.time.date,
+            distanceKm: apsis.dist_km
+        });
+        apsis = Astronomy.NextLunarApsis(apsis);
+    }
+    return events;
+}
+
+/**
+ * Full moons closer than SUPERMOON_MAX_DISTANCE_KM
+ */
+function findSupermoons(year, month) {
+    const Astronomy = getAstronomy();
+
+    return getMoonPhaseEvents(year, month)
+        .filter(e => e.quarter === 2)
+        .map(e => ({ time: e.time, distanceKm: Astronomy.GeoMoon(e.time).Length() * Astronomy.KM_PER_AU }))
+        .filter(e => e.distanceKm <= SUPERMOON_MAX_DISTANCE_KM)
+        .map(e => ({ type: 'supermoon', label: 'スーパームーン', ...e }));
+}
+
+function getMoonAltitude(time, observer) {
+    const Astronomy = getAstronomy();
+    const equ = Astronomy.Equator(Astronomy.Body.Moon, time, observer, true, true);
+    return Astronomy.Horizon(time, observer, equ.ra, equ.dec, 'normal').altitude;
+}
@@ -0,0 +1,34 @@
+/**
+ * Astronomy Backend
+ * The calendar modules get Astronomy Engine from here instead of reading a
+ * browser global, so the same code runs in the browser, Node, web workers and tests.
+ *
+ *   Browser: setAstronomy(window.Astronomy)   (astronomy.browser.js script tag)
+ *   Node:    setAstronomy(await import('astronomy-engine'))
+ */
+
+let astronomy = null;
+
+/**
+ * Install the Astronomy Engine module used by all calculations
+ * @param {object} engine - The astronomy-engine module (or a compatible object)
+ * @throws {TypeError} When `engine` does not look like Astronomy Engine
+ */
+export function setAstronomy(engine) {
+    if (!engine || typeof engine.SearchMoonPhase !== 'function' || typeof engine.SearchSunLongitude !== 'function') {
+        throw new TypeError('setAstronomy() expects the astronomy-engine module');
+    }
+    astronomy = engine;
+}
+
+/**
+ * The installed Astronomy Engine
+ * @returns {object}
+ * @throws {Error} When setAstronomy() has not been called
+ */
+export function getAstronomy() {
+    if (!astronomy) {
+        throw new Error('Astronomy Engine is not set. Call setAstronomy() with the astronomy-engine module first.');
+    }
+    return astronomy;
+}
@@ -0,0 +1,126 @@
+/**
+ * Calendar Table
+ * Day-by-day rows of calendar data as JSON, CSV or Markdown, for print material
+ * and for diffing calculations between versions (see bin/moon-calendar.js).
+ */
+import { getEto, getLuckyDays, getUnluckyDays, getRokuyo } from './JapaneseCalendar.js';
+import { getKyureki } from './LunisolarCalendar.js';
+import { getMoonPhase } from './MoonData.js';
+import { getSolarTerm } from './SolarTerms.js';
+import { getHoliday } from './Holidays.js';
+import { toDayNumber, fromDayNumber, formatJstTime } from './DateUtil.js';
+
+// Available columns. `value` is what JSON gets; `text` renders it for CSV and Markdown.
+export const TABLE_FIELDS = {
+    eto: {
+        label: '干支',
+        value: date => getEto(date).etoString
+    },
+    lucky: {
+        label: '吉日',
+        value: date => getLuckyDays(date).map(l => l.label)
+    },
+    unlucky: {
+        label: '凶日',
+        value: date => getUnluckyDays(date).map(u => u.label)
+    },
+    rokuyo: {
+        label: '六曜',
+        value: date => getRokuyo(date).label
+    },
+    moon: {
+        label: '月',
+        value: date => {
+            const moon = getMoonPhase(date);
+            return {
+                age: Number(moon.age),
+                name: moon.moonName.name,
+                phase: moon.phaseEvent ? moon.phaseEvent.name : null,
+                phaseTime: moon.phaseEvent ? formatJstTime(moon.phaseEvent.time) : null
+            };
+        },
+        text: moon => [`月齢${moon.age}`, moon.name, moon.phase && `${moon.phase} ${moon.phaseTime}`]
+            .filter(Boolean).join(' ')
+    },
+    kyureki: {
+        label: '旧暦',
+        value: date => {
+            const { month, day, isLeap } = getKyureki(date);
+            return `${isLeap ? '閏' : ''}${month}月${day}日`;
+        }
+    },
+    solarTerm: {
+        label: '節気',
+        value: date => getSolarTerm(date)?.name ?? null
+    },
+    holiday: {
+        label: '祝日',
+        value: date => getHoliday(date)?.name ?? null
+    }
+};
+
+export const TABLE_FORMATS = ['json', 'csv', 'md'];
+
+/**
+ * One row per day from `from` to `to` (inclusive)
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string[]} fields - Keys of TABLE_FIELDS
+ * @returns {Array<object>} { date: 'YYYY-MM-DD', [field]: value }
+ * @throws {RangeError} For an unknown field
+ */
+export function buildRows(from, to, fields) {
+    for (const field of fields) {
+        if (!TABLE_FIELDS[field]) throw new RangeError(`Unknown field: ${field}`);
+    }
+
+    const rows = [];
+    for (let day = toDayNumber(from); day <= toDayNumber(to); day++) {
+        const date = fromDayNumber(day);
+        const row = { date: formatIsoDate(date) };
+        for (const field of fields) row[field] = TABLE_FIELDS[field].value(date);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Render rows built by buildRows
+ * @param {Array<object>} rows
+ * @param {string[]} fields
+ * @param {string} format - 'json', 'csv' or 'md'
+ * @returns {string}
+ * @throws {RangeError} For an unknown format
+ */
+export function formatRows(rows, fields, format) {
+    if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+
+    const cells = rows.map(row => [row.date, ...fields.map(f => toText(f, row[f]))]);
+    if (format === 'csv') {
+        return [['date', ...fields], ...cells].map(line => line.map(quoteCsv).join(',')).join('\r\n') + '\r\n';
+    }
+    if (format === 'md') {
+        const header = ['日付', ...fields.map(f => TABLE_FIELDS[f].label)];
+        return [header, header.map(() => '---'), ...cells]
+            .map(line => `| ${line.map(c => c.replace(/\|/g, '\\|')).join(' | ')} |`)
+            .join('\n') + '\n';
+    }
+    throw new RangeError(`Unknown format: ${format}`);
+}
+
+function toText(field, value) {
+    if (value === null || value === undefined) return '';
+    if (TABLE_FIELDS[field].text) return TABLE_FIELDS[field].text(value);
+    return Array.isArray(value) ? value.join('・') : String(value);
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ */
+function quoteCsv(cell) {
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function formatIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,78 @@
+/**
+ * Date Utilities
+ * Day numbering shared by the calendar modules.
+ *
+ * Calendar days are compared as integer "day numbers" (days since 1970-01-01).
+ * - A calendar cell's Date is read by its local Y/M/D fields (as the UI builds them).
+ * - An astronomical instant is read as its date in JST (UTC+9), which is what
+ *   Japanese almanacs use regardless of where the page is opened.
+ */
+
+export const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+export const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Day number of a calendar date (local Y/M/D fields)
+ * @param {Date} date
+ * @returns {number}
+ */
+export function toDayNumber(date) {
+    return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY);
+}
+
+/**
+ * Day number of the JST date on which an instant falls
+ * @param {Date} instant
+ * @returns {number}
+ */
+export function jstDayNumber(instant) {
+    return Math.floor((instant.getTime() + JST_OFFSET_MS) / MS_PER_DAY);
+}
+
+/**
+ * Local Date (midnight) for a day number
+ * @param {number} dayNumber
+ * @returns {Date}
+ */
+export function fromDayNumber(dayNumber) {
+    const utc = new Date(dayNumber * MS_PER_DAY);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Instant of 00:00 JST on the given calendar day
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Date}
+ */
+export function jstMidnight(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day) - JST_OFFSET_MS);
+}
+
+/**
+ * JST calendar fields of an instant
+ * @param {Date} instant
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+ */
+export function getJstParts(instant) {
+    const shifted = new Date(instant.getTime() + JST_OFFSET_MS);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes()
+    };
+}
+
+/**
+ * "HH:MM" in JST
+ * @param {Date} instant
+ * @returns {string}
+ */
+export function formatJstTime(instant) {
+    const { hour, minute } = getJstParts(instant);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
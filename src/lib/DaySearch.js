@@ -0,0 +1,135 @@
+/**
+ * Day Search
+ * Finds upcoming days matching combined conditions, e.g. "天赦日 AND 一粒万倍日",
+ * "巳の日 on a weekend" or "満月 on a 寅の日".
+ */
+import { getLuckyDays, getEto, getRokuyo, JIKKAN, JUNISHI, LUCKY_DAY_TYPES, ROKUYO } from './JapaneseCalendar.js';
+import { getMoonPhaseEvent, MOON_PHASE_TYPES } from './MoonData.js';
+import { toDayNumber, fromDayNumber } from './DateUtil.js';
+
+// Longest span a search may scan
+export const MAX_SEARCH_YEARS = 100;
+
+/**
+ * Whether a day meets every given condition. Omitted conditions match any day.
+ *
+ * @param {Date} date
+ * @param {{
+ *   lucky?: string[],      // all of these getLuckyDays types, e.g. ['tensha', 'ichiryumanbai']
+ *   weekdays?: number[],   // any of these days of the week (0 = Sunday)
+ *   stem?: string,         // day stem, e.g. '己'
+ *   branch?: string,       // day branch, e.g. '巳'
+ *   eto?: string,          // day Eto, e.g. '己巳'
+ *   rokuyo?: string[],     // any of these getRokuyo types, e.g. ['taian']
+ *   moonPhase?: string[],  // any of these MOON_PHASE_TYPES, on the day of the exact phase
+ *   where?: (date: Date) => boolean  // any extra test
+ * }} conditions
+ * @returns {boolean}
+ */
+export function matchesConditions(date, conditions) {
+    const { lucky, weekdays, stem, branch, eto, rokuyo, moonPhase, where } = conditions;
+
+    // Cheapest checks first; moon phases need an astronomical search per month
+    if (weekdays?.length && !weekdays.includes(date.getDay())) return false;
+
+    if (stem || branch || eto) {
+        const dayEto = getEto(date);
+        if (stem && dayEto.stem !== stem) return false;
+        if (branch && dayEto.branch !== branch) return false;
+        if (eto && dayEto.etoString !== eto) return false;
+    }
+
+    if (lucky?.length) {
+        const types = getLuckyDays(date).map(l => l.type);
+        if (!lucky.every(type => types.includes(type))) return false;
+    }
+
+    if (rokuyo?.length && !rokuyo.includes(getRokuyo(date).type)) return false;
+
+    if (moonPhase?.length) {
+        const event = getMoonPhaseEvent(date);
+        const phase = event && MOON_PHASE_TYPES[event.quarter];
+        if (!phase || !moonPhase.includes(phase.type)) return false;
+    }
+
+    return where ? where(date) : true;
+}
+
+/**
+ * The next days (from `from`, inclusive) matching the conditions.
+ *
+ * @param {object} conditions - See matchesConditions
+ * @param {{ from?: Date, limit?: number, years?: number }} [options]
+ *   limit: number of days to return, years: how far ahead to look
+ * @returns {Array<{ date: Date, lucky: Array<{type: string, label: string}>, eto: object, phaseEvent: object|null }>}
+ * @throws {RangeError} When limit or years is out of range, or a condition has an unknown value
+ */
+export function searchDays(conditions, options = {}) {
+    const { from = new Date(), limit = 10, years = 10 } = options;
+    if (!Number.isInteger(limit) || limit < 1) throw new RangeError(`Invalid limit: ${limit}`);
+    if (!(years > 0 && years <= MAX_SEARCH_YEARS)) throw new RangeError(`Invalid search span: ${years} years`);
+    validateConditions(conditions);
+
+    const start = toDayNumber(from);
+    const end = toDayNumber(new Date(from.getFullYear() + years, from.getMonth(), from.getDate()));
+    const results = [];
+
+    for (let day = start; day < end && results.length < limit; day++) {
+        const date = fromDayNumber(day);
+        if (!matchesConditions(date, conditions)) continue;
+        results.push({
+            date,
+            lucky: getLuckyDays(date),
+            eto: getEto(date),
+            phaseEvent: getMoonPhaseEvent(date)
+        });
+    }
+    return results;
+}
+
+/**
+ * Throw for condition values that no day can match, so a typo fails loudly
+ * instead of scanning the whole span for nothing
+ */
+function validateConditions(conditions) {
+    const { lucky, weekdays, stem, branch, eto, rokuyo, moonPhase } = conditions;
+    checkList('lucky', lucky, LUCKY_DAY_TYPES.map(l => l.type));
+    checkList('weekdays', weekdays, [0, 1, 2, 3, 4, 5, 6]);
+    checkList('rokuyo', rokuyo, ROKUYO.map(r => r.type));
+    checkList('moonPhase', moonPhase, MOON_PHASE_TYPES.map(p => p.type));
+    if (stem && !JIKKAN.includes(stem)) throw new RangeError(`Invalid stem: ${stem}`);
+    if (branch && !JUNISHI.includes(branch)) throw new RangeError(`Invalid branch: ${branch}`);
+    if (eto && !isEto(eto)) throw new RangeError(`Invalid eto: ${eto}`);
+}
+
+function checkList(name, values, allowed) {
+    if (values === undefined) return;
+    if (!Array.isArray(values)) throw new RangeError(`${name} must be an array: ${values}`);
+    for (const value of values) {
+        if (!allowed.includes(value)) throw new RangeError(`Invalid ${name}: ${value}`);
+    }
+}
+
+/**
+ * Eto condition from a typed stem ("己"), branch ("巳") or pair ("己巳")
+ * @param {string} text
+ * @returns {{ stem?: string, branch?: string, eto?: string }} Empty for blank input
+ * @throws {RangeError} When the text is not a stem, a branch or one of the 60 pairs
+ */
+export function parseEtoCondition(text) {
+    const value = String(text).trim();
+    if (!value) return {};
+    if (JIKKAN.includes(value)) return { stem: value };
+    if (JUNISHI.includes(value)) return { branch: value };
+    if (isEto(value)) return { eto: value };
+    throw new RangeError(`Invalid eto: ${value}`);
+}
+
+/**
+ * Whether a two-character string is one of the 60 pairs (stem and branch of the same parity)
+ */
+function isEto(text) {
+    const stemIndex = JIKKAN.indexOf(text[0]);
+    const branchIndex = JUNISHI.indexOf(text[1]);
+    return text.length === 2 && stemIndex >= 0 && branchIndex >= 0 && stemIndex % 2 === branchIndex % 2;
+}
@@ -0,0 +1,139 @@
+/**
+ * Japanese National Holidays (国民の祝日に関する法律)
+ * Covers holidays from the law's enactment (1948-07-20), including amendments:
+ * - 振替休日 from 1973-04-12 (next day; since 2007 the next non-holiday)
+ * - 国民の休日 from 1985-12-27 (a weekday between two holidays; since 2007 any day)
+ * - Happy Monday moves from 2000 and 2003
+ * 春分の日 and 秋分の日 follow the astronomical equinox (JST), as the official
+ * announcement each February does.
+ */
+import { getSolarTermsForYear } from './SolarTerms.js';
+import { toDayNumber, fromDayNumber } from './DateUtil.js';
+
+// Holiday rules, each valid for the years from..to (inclusive).
+// A rule is a fixed `day`, the Nth Monday (`monday`), or an equinox by solar longitude.
+const HOLIDAY_RULES = [
+    { name: '元日', month: 1, day: 1, from: 1949 },
+    { name: '成人の日', month: 1, day: 15, from: 1949, to: 1999 },
+    { name: '成人の日', month: 1, monday: 2, from: 2000 },
+    { name: '建国記念の日', month: 2, day: 11, from: 1967 },
+    { name: '天皇誕生日', month: 2, day: 23, from: 2020 },
+    { name: '春分の日', equinox: 0, from: 1949 },
+    { name: '天皇誕生日', month: 4, day: 29, from: 1949, to: 1988 },
+    { name: 'みどりの日', month: 4, day: 29, from: 1989, to: 2006 },
+    { name: '昭和の日', month: 4, day: 29, from: 2007 },
+    { name: '憲法記念日', month: 5, day: 3, from: 1949 },
+    { name: 'みどりの日', month: 5, day: 4, from: 2007 },
+    { name: 'こどもの日', month: 5, day: 5, from: 1949 },
+    { name: '海の日', month: 7, day: 20, from: 1996, to: 2002 },
+    { name: '海の日', month: 7, monday: 3, from: 2003, except: [2020, 2021] },
+    { name: '山の日', month: 8, day: 11, from: 2016, except: [2020, 2021] },
+    { name: '敬老の日', month: 9, day: 15, from: 1966, to: 2002 },
+    { name: '敬老の日', month: 9, monday: 3, from: 2003 },
+    { name: '秋分の日', equinox: 180, from: 1948 },
+    { name: '体育の日', month: 10, day: 10, from: 1966, to: 1999 },
+    { name: '体育の日', month: 10, monday: 2, from: 2000, to: 2019 },
+    { name: 'スポーツの日', month: 10, monday: 2, from: 2020, except: [2020, 2021] },
+    { name: '文化の日', month: 11, day: 3, from: 1948 },
+    { name: '勤労感謝の日', month: 11, day: 23, from: 1948 },
+    { name: '天皇誕生日', month: 12, day: 23, from: 1989, to: 2018 }
+];
+
+// One-off holidays by special law (imperial ceremonies, Olympic moves)
+const SPECIAL_HOLIDAYS = [
+    { name: '皇太子明仁親王の結婚の儀', year: 1959, month: 4, day: 10 },
+    { name: '昭和天皇の大喪の礼', year: 1989, month: 2, day: 24 },
+    { name: '即位礼正殿の儀', year: 1990, month: 11, day: 12 },
+    { name: '皇太子徳仁親王の結婚の儀', year: 1993, month: 6, day: 9 },
+    { name: '天皇の即位の日', year: 2019, month: 5, day: 1 },
+    { name: '即位礼正殿の儀', year: 2019, month: 10, day: 22 },
+    { name: '海の日', year: 2020, month: 7, day: 23 },
+    { name: 'スポーツの日', year: 2020, month: 7, day: 24 },
+    { name: '山の日', year: 2020, month: 8, day: 10 },
+    { name: '海の日', year: 2021, month: 7, day: 22 },
+    { name: 'スポーツの日', year: 2021, month: 7, day: 23 },
+    { name: '山の日', year: 2021, month: 8, day: 8 }
+];
+
+// Amendments, as day numbers
+const FURIKAE_START = toDayNumber(new Date(1973, 3, 12));
+const KOKUMIN_START = toDayNumber(new Date(1985, 11, 27));
+const REVISION_2007 = toDayNumber(new Date(2007, 0, 1));
+
+// Computed holidays per year
+const yearCache = new Map();
+
+/**
+ * All holidays in the given year, in date order.
+ * type is 'national' (国民の祝日), 'substitute' (振替休日) or 'citizens' (国民の休日)
+ * @param {number} year
+ * @returns {Array<{ date: Date, name: string, type: string }>}
+ */
+export function getHolidaysForYear(year) {
+    if (yearCache.has(year)) return yearCache.get(year);
+
+    // dayNumber -> name of the 国民の祝日
+    const national = new Map();
+    for (const rule of HOLIDAY_RULES) {
+        if (year < rule.from || year > (rule.to ?? Infinity) || rule.except?.includes(year)) continue;
+        national.set(getRuleDay(rule, year), rule.name);
+    }
+    for (const special of SPECIAL_HOLIDAYS) {
+        if (special.year === year) national.set(toDayNumber(new Date(year, special.month - 1, special.day)), special.name);
+    }
+
+    const holidays = new Map(
+        [...national].map(([dayNumber, name]) => [dayNumber, { name, type: 'national' }])
+    );
+
+    // 振替休日: a 祝日 on Sunday moves the rest day forward
+    for (const dayNumber of national.keys()) {
+        if (dayNumber < FURIKAE_START || fromDayNumber(dayNumber).getDay() !== 0) continue;
+
+        let substitute = dayNumber + 1;
+        if (dayNumber >= REVISION_2007) {
+            while (national.has(substitute)) substitute++;
+        }
+        if (!holidays.has(substitute)) holidays.set(substitute, { name: '振替休日', type: 'substitute' });
+    }
+
+    // 国民の休日: a day between two 祝日 (Sundays excluded before 2007)
+    for (const dayNumber of national.keys()) {
+        const between = dayNumber + 1;
+        if (between < KOKUMIN_START || holidays.has(between) || !national.has(between + 1)) continue;
+        if (between < REVISION_2007 && fromDayNumber(between).getDay() === 0) continue;
+        holidays.set(between, { name: '国民の休日', type: 'citizens' });
+    }
+
+    const result = [...holidays]
+        .sort(([a], [b]) => a - b)
+        .map(([dayNumber, holiday]) => ({ date: fromDayNumber(dayNumber), ...holiday }));
+
+    yearCache.set(year, result);
+    return result;
+}
+
+/**
+ * Holiday on the given day, or null
+ * @param {Date} date
+ * @returns {{ date: Date, name: string, type: string }|null}
+ */
+export function getHoliday(date) {
+    const dayNumber = toDayNumber(date);
+    return getHolidaysForYear(date.getFullYear()).find(h => toDayNumber(h.date) === dayNumber) || null;
+}
+
+/**
+ * Day number of a rule's holiday in the year
+ */
+function getRuleDay(rule, year) {
+    if (rule.equinox !== undefined) {
+        return getSolarTermsForYear(year).find(t => t.longitude === rule.equinox).dayNumber;
+    }
+    if (rule.monday) {
+        const firstWeekday = new Date(year, rule.month - 1, 1).getDay();
+        const firstMonday = 1 + (8 - firstWeekday) % 7;
+        return toDayNumber(new Date(year, rule.month - 1, firstMonday + (rule.monday - 1) * 7));
+    }
+    return toDayNumber(new Date(year, rule.month - 1, rule.day));
+}
@@ -0,0 +1,156 @@
+/**
+ * iCalendar Export (RFC 5545)
+ * Lucky days as all-day events and moon phases as timed events, for import into
+ * Google/Apple calendars. UIDs depend only on the event type and date, so
+ * importing an overlapping range again updates events instead of duplicating them.
+ * With `refresh` set, the file can be hosted as a subscribable feed
+ * (`moon-calendar --format ics` writes one for a range of years).
+ */
+import { getLuckyDays, LUCKY_DAY_TYPES } from './JapaneseCalendar.js';
+import { getMoonPhase, MOON_PHASE_TYPES } from './MoonData.js';
+import { toDayNumber, fromDayNumber } from './DateUtil.js';
+
+// Exportable event types: lucky days from getLuckyDays, phases by quarter (0 = 新月)
+export const ICS_EVENT_TYPES = [...LUCKY_DAY_TYPES, ...MOON_PHASE_TYPES];
+
+const PRODID = '-//Moon & Lucky Calendar//JA';
+const UID_DOMAIN = 'moon-lucky-calendar';
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+// Positive day/week/time duration (RFC 5545 3.3.6), e.g. P1D, P1W, PT12H
+const DURATION_PATTERN = /^P(?:\d+W|\d+D(?:T(?:\d+H)?(?:\d+M)?(?:\d+S)?)?|T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+S)?)$/;
+
+/**
+ * Build an .ics calendar for the days from `start` to `end` (inclusive).
+ *
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string[]} types - Event types from ICS_EVENT_TYPES
+ * @param {{ name?: string, now?: Date, describe?: (type: string) => string, refresh?: string }} [options]
+ *   name: calendar name, now: DTSTAMP, describe: DESCRIPTION text for an event type,
+ *   refresh: how often subscribers should re-fetch a hosted file, as a duration (e.g. 'P1W')
+ * @returns {string} iCalendar text with CRLF line endings
+ * @throws {RangeError} When refresh is not a duration
+ */
+export function createIcs(start, end, types, options = {}) {
+    const { name = '月の満ち欠けと吉日カレンダー', now = new Date(), describe, refresh } = options;
+    if (refresh !== undefined && !DURATION_PATTERN.test(refresh)) throw new RangeError(`Invalid refresh interval: ${refresh}`);
+    const wanted = new Set(types);
+    const stamp = formatUtc(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'X-WR-TIMEZONE:Asia/Tokyo',
+        // RFC 7986 refresh interval, and the older name Google/Outlook read
+        ...(refresh ? [`REFRESH-INTERVAL;VALUE=DURATION:${refresh}`, `X-PUBLISHED-TTL:${refresh}`] : [])
+    ];
+
+    for (let day = toDayNumber(start); day <= toDayNumber(end); day++) {
+        const date = fromDayNumber(day);
+        const dateValue = formatDate(date);
+
+        for (const lucky of getLuckyDays(date)) {
+            if (!wanted.has(lucky.type)) continue;
+            lines.push(...createEvent({
+                uid: `${lucky.type}-${dateValue}@${UID_DOMAIN}`,
+                stamp,
+                summary: lucky.label,
+                description: describe?.(lucky.type),
+                start: `DTSTART;VALUE=DATE:${dateValue}`,
+                end: `DTEND;VALUE=DATE:${formatDate(fromDayNumber(day + 1))}`
+            }));
+        }
+
+        const phase = getMoonPhase(date).phaseEvent;
+        const phaseType = phase && MOON_PHASE_TYPES[phase.quarter];
+        if (phaseType && wanted.has(phaseType.type)) {
+            lines.push(...createEvent({
+                uid: `${phaseType.type}-${dateValue}@${UID_DOMAIN}`,
+                stamp,
+                summary: phase.name,
+                description: describe?.(phaseType.type),
+                start: `DTSTART:${formatUtc(phase.time)}`,
+                end: `DTEND:${formatUtc(phase.time)}`
+            }));
+        }
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * VEVENT lines. Events are transparent so they never block free/busy time.
+ */
+function createEvent({ uid, stamp, summary, description, start, end }) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        start,
+        end,
+        `SUMMARY:${escapeText(summary)}`,
+        ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * DATE value (YYYYMMDD) of a calendar day
+ */
+function formatDate(date) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+}
+
+/**
+ * UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ */
+function formatUtc(instant) {
+    return `${instant.getUTCFullYear()}${pad(instant.getUTCMonth() + 1)}${pad(instant.getUTCDate())}`
+        + `T${pad(instant.getUTCHours())}${pad(instant.getUTCMinutes())}${pad(instant.getUTCSeconds())}Z`;
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets (RFC 5545 3.1),
+ * never splitting a multi-byte UTF-8 character
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
@@ -1,100 +1,169 @@
 /**
  * Japanese Calendar Logic
- * Handles Sexagenary Cycle (Eto), Rokuyo (Simple), and Lucky Days.
+ * Handles Sexagenary Cycle (Eto), Rokuyo, Junichoku, Lunar Mansions (Shuku),
+ * Nine Stars (Kyusei), 選日 periods (Senjitsu), Lucky Days and Unlucky Days.
+ * Season boundaries come from the astronomical solar terms (SolarTerms.js).
  */
+import { getSeason, getSekkiMonth, getSekkiYear, getSolarTermsForYear, getSolarTermTime } from './SolarTerms.js';
+import { getKyureki } from './LunisolarCalendar.js';
+import { toDayNumber, fromDayNumber, jstDayNumber } from './DateUtil.js';
 
 // Ten Celestial Stems (Jikkan)
-const JIKKAN = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
+export const JIKKAN = ['甲', '乙', '丙', '丁', '戊', '己', '庚', '辛', '壬', '癸'];
 // Twelve Earthly Branches (Junishi)
-const JUNISHI = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
-
-// Solar Terms (24 Sekki) - Approximate Dates for 2025-2026
-// For a robust app, we'd use astronomical calculation, but fixed dates are close enough for UI.
-// We will determining specific terms for Ichiryumanbai rules.
-const SOLAR_TERMS_BASE = {
-    'Risshun': { month: 2, day: 4 }, // Start of Spring
-    'Keichitsu': { month: 3, day: 6 },
-    'Seimei': { month: 4, day: 5 },
-    'Rikka': { month: 5, day: 5 }, // Start of Summer
-    'Boushu': { month: 6, day: 6 },
-    'Shousho': { month: 7, day: 7 },
-    'Risshu': { month: 8, day: 7 }, // Start of Autumn
-    'Hakuro': { month: 9, day: 8 },
-    'Kanro': { month: 10, day: 8 },
-    'Rittou': { month: 11, day: 7 }, // Start of Winter
-    'Taisetsu': { month: 12, day: 7 },
-    'Shoukan': { month: 1, day: 5 }
+export const JUNISHI = ['子', '丑', '寅', '卯', '辰', '巳', '午', '未', '申', '酉', '戌', '亥'];
+// Lucky days reported by getLuckyDays, in the order the UI lists them
+export const LUCKY_DAY_TYPES = [
+    { type: 'tensha', label: '天赦日' },
+    { type: 'ichiryumanbai', label: '一粒万倍日' },
+    { type: 'tora', label: '寅の日' },
+    { type: 'mi', label: '巳の日' },
+    { type: 'super-mi', label: '己巳の日' }
+];
+// Ichiryumanbai-bi day branches, keyed by the sekki month branch (寅月 starts at 立春)
+const ICHIRYUMANBAI_BRANCHES = {
+    '寅': ['丑', '午'],
+    '卯': ['寅', '酉'],
+    '辰': ['子', '卯'],
+    '巳': ['卯', '辰'],
+    '午': ['巳', '午'],
+    '未': ['酉', '午'],
+    '申': ['子', '未'],
+    '酉': ['卯', '申'],
+    '戌': ['酉', '午'],
+    '亥': ['酉', '戌'],
+    '子': ['亥', '子'],
+    '丑': ['卯', '子']
 };
+// Fujoju-bi lunar days, keyed by Old Calendar month (month N and N+6 share a row)
+const FUJOJU_DAYS = {
+    1: [3, 11, 19, 27],
+    2: [2, 10, 18, 26],
+    3: [1, 9, 17, 25],
+    4: [4, 12, 20, 28],
+    5: [5, 13, 21, 29],
+    6: [6, 14, 22, 30]
+};
+// Sanrinbo day branch by sekki month number (1 = 寅月), repeating every 3 months
+const SANRINBO_BRANCHES = ['亥', '寅', '午'];
+// Jusshi-nichi day branch by sekki month number, repeating every 3 months
+const JUSSHI_BRANCHES = ['酉', '巳', '丑'];
+// Jushi-nichi (Kurobi) day branch by sekki month number (1 = 寅月 ... 12 = 丑月)
+const JUSHI_BRANCHES = ['戌', '辰', '亥', '巳', '子', '午', '丑', '未', '寅', '申', '卯', '酉'];
+// Junichoku (Twelve Day Officers), in order from 建 (the day branch equal to the month branch)
+const JUNICHOKU = [
+    { name: '建', reading: 'たつ', meaning: '万物を建て生じる日。祭祀・婚礼・開店・移転に吉。動土・蔵開きは凶。' },
+    { name: '除', reading: 'のぞく', meaning: '障りを取り除く日。治療・祭祀・井戸掘りに吉。婚礼・動土は凶。' },
+    { name: '満', reading: 'みつ', meaning: '万物が満ちる日。移転・婚礼・建築など万事に吉。動土・服薬は凶。' },
+    { name: '平', reading: 'たいら', meaning: '物事が平らかになる日。旅行・婚礼・道普請に吉。穴掘り・種まきは凶。' },
+    { name: '定', reading: 'さだん', meaning: '善悪が定まる日。開店・移転・婚礼・建築に吉。旅行・訴訟は凶。' },
+    { name: '執', reading: 'とる', meaning: '執り行う日。祭祀・婚礼・種まきに吉。金銭の出費は凶。' },
+    { name: '破', reading: 'やぶる', meaning: '物事を打ち破る日。訴訟・漁猟・取り壊しに吉。祝い事・契約は凶。' },
+    { name: '危', reading: 'あやぶ', meaning: '万事に危ぶむ日。高所での作業・旅行・登山は凶。' },
+    { name: '成', reading: 'なる', meaning: '物事が成就する日。新規事業・開店・婚礼に吉。訴訟・談判は凶。' },
+    { name: '納', reading: 'おさん', meaning: '物事を納め入れる日。収穫・買い入れ・入金に吉。婚礼・見合いは凶。' },
+    { name: '開', reading: 'ひらく', meaning: '開き通じる日。建築・移転・婚礼・開業に吉。葬儀など不浄事は凶。' },
+    { name: '閉', reading: 'とづ', meaning: '閉じ塞がる日。金銭の収納・墓造りに吉。開業・婚礼は凶。' }
+];
+// Lunar Mansions (二十八宿), in cycle order from 角. 二十七宿 uses the same list without 牛.
+const SHUKU = [
+    { name: '角', reading: 'かく', good: '着初め・柱立て・婚礼・旅行', bad: '葬儀' },
+    { name: '亢', reading: 'こう', good: '衣類の裁断・種まき・婚礼', bad: '普請造作' },
+    { name: '氐', reading: 'てい', good: '婚礼・開店・酒造り・開墾', bad: '' },
+    { name: '房', reading: 'ぼう', good: '移転・旅行・婚礼・祭祀', bad: '衣類の裁断' },
+    { name: '心', reading: 'しん', good: '神仏の祭祀・旅行・新規事', bad: '葬儀・普請造作' },
+    { name: '尾', reading: 'び', good: '婚礼・開店・移転・造作', bad: '衣類の裁断' },
+    { name: '箕', reading: 'き', good: '普請造作・池掘り・集金', bad: '婚礼・葬儀' },
+    { name: '斗', reading: 'と', good: '土掘り・開店・造作', bad: '' },
+    { name: '牛', reading: 'ぎゅう', good: '移転・旅行・金談など万事', bad: '' },
+    { name: '女', reading: 'じょ', good: '稽古始め・お披露目', bad: '訴訟・葬儀' },
+    { name: '虚', reading: 'きょ', good: '学問始め・着初め', bad: '相談事・積極的な行動' },
+    { name: '危', reading: 'き', good: '壁塗り・船普請・酒造り', bad: '高所作業・衣類の裁断' },
+    { name: '室', reading: 'しつ', good: '祈願・婚礼・祝い事・井戸掘り', bad: '' },
+    { name: '壁', reading: 'へき', good: '開店・旅行・婚礼・柱立て', bad: '南への旅行' },
+    { name: '奎', reading: 'けい', good: '開店・文芸の開始・修繕', bad: '' },
+    { name: '婁', reading: 'ろう', good: '動土・縁談・契約・造園', bad: '衣類の裁断' },
+    { name: '胃', reading: 'い', good: '開店・移転・求職', bad: '公事' },
+    { name: '昴', reading: 'ぼう', good: '神仏詣・祝い事・開店', bad: '衣類の裁断' },
+    { name: '畢', reading: 'ひつ', good: '祭祀・縁談・祝い事・普請', bad: '川普請' },
+    { name: '觜', reading: 'し', good: '稽古始め・入学', bad: '造作・衣類の裁断' },
+    { name: '参', reading: 'しん', good: '仕入れ・旅行・取引開始', bad: '縁談・葬儀' },
+    { name: '井', reading: 'せい', good: '神仏詣・種まき・動土・普請', bad: '衣類の裁断' },
+    { name: '鬼', reading: 'き', good: '婚礼以外の万事に大吉', bad: '婚礼' },
+    { name: '柳', reading: 'りゅう', good: '物事を断ること', bad: '葬儀・婚礼・造作' },
+    { name: '星', reading: 'せい', good: '乗馬・便所造り', bad: '婚礼・葬儀' },
+    { name: '張', reading: 'ちょう', good: '就職・見合い・祈願・祝い事', bad: '衣類の裁断' },
+    { name: '翼', reading: 'よく', good: '耕作始め・植え替え・種まき', bad: '高所作業・婚礼' },
+    { name: '軫', reading: 'しん', good: '地鎮祭・落成式・祭祀', bad: '衣類の裁断' }
+];
+const SHUKU_27 = SHUKU.filter(s => s.name !== '牛');
+// 二十七宿 on the 1st of each Old Calendar month (index into SHUKU_27), 1月 = 室
+const SHUKU_27_MONTH_START = {
+    1: 11, 2: 13, 3: 15, 4: 17, 5: 19, 6: 21,
+    7: 24, 8: 0, 9: 2, 10: 4, 11: 7, 12: 9
+};
+// Nine Stars (Kyusei), indexed by star number - 1
+const KYUSEI = [
+    { number: 1, name: '一白水星', color: '白', element: '水' },
+    { number: 2, name: '二黒土星', color: '黒', element: '土' },
+    { number: 3, name: '三碧木星', color: '碧', element: '木' },
+    { number: 4, name: '四緑木星', color: '緑', element: '木' },
+    { number: 5, name: '五黄土星', color: '黄', element: '土' },
+    { number: 6, name: '六白金星', color: '白', element: '金' },
+    { number: 7, name: '七赤金星', color: '赤', element: '金' },
+    { number: 8, name: '八白土星', color: '白', element: '土' },
+    { number: 9, name: '九紫火星', color: '紫', element: '火' }
+];
+// Month star of 寅月, keyed by the year branch index % 3 (子卯午酉 / 丑辰未戌 / 寅巳申亥)
+const KYUSEI_FIRST_MONTH = [8, 5, 2];
+// Doyo (土用): from the day the Sun reaches `longitude` to the day before the next 立春/立夏/立秋/立冬.
+// 間日 are the day branches on which earth work is allowed.
+const DOYO = [
+    { season: 'winter', label: '冬の土用', longitude: 297, endLongitude: 315, mabi: ['寅', '卯', '巳'] },
+    { season: 'spring', label: '春の土用', longitude: 27, endLongitude: 45, mabi: ['巳', '午', '酉'] },
+    { season: 'summer', label: '夏の土用', longitude: 117, endLongitude: 135, mabi: ['卯', '辰', '申'] },
+    { season: 'autumn', label: '秋の土用', longitude: 207, endLongitude: 225, mabi: ['未', '酉', '亥'] }
+];
+// Senjitsu periods fixed in the sexagenary cycle: first day (cycle index, 0 = 甲子), length and 間日
+const CYCLE_PERIODS = [
+    { type: 'happen', label: '八専', start: 48, length: 12, mabi: ['癸丑', '丙辰', '戊午', '壬戌'] },
+    { type: 'jippogure', label: '十方暮', start: 20, length: 10, mabi: [] },
+    { type: 'tenichitenjo', label: '天一天上', start: 29, length: 16, mabi: [] }
+];
+// Doyo periods per Gregorian year. Each costs 4 solar longitude searches.
+const doyoCache = new Map();
+// Rokuyo, indexed by (Lunar Month + Lunar Day) % 6
+export const ROKUYO = [
+    { type: 'taian', label: '大安' },
+    { type: 'shakko', label: '赤口' },
+    { type: 'sensho', label: '先勝' },
+    { type: 'tomobiki', label: '友引' },
+    { type: 'senbu', label: '先負' },
+    { type: 'butsumetsu', label: '仏滅' }
+];
+
+// Day number of 2024-01-01, a 甲子 day (cycle index 0)
+const ETO_ANCHOR_DAY = toDayNumber(new Date(2024, 0, 1));
 
 /**
- * Calculate Julian Day Number
+ * Get Eto (Sexagenary Cycle) for the day
+ * Returns { cycleIndex, stemIndex, branchIndex, stem, branch, etoString } (cycleIndex 0 = 甲子)
  */
-function getJulianDay(date) {
-    let year = date.getFullYear();
-    let month = date.getMonth() + 1;
-    let day = date.getDate();
-
-    if (month <= 2) {
-        year -= 1;
-        month += 12;
-    }
-    const A = Math.floor(year / 100);
-    const B = 2 - A + Math.floor(A / 4);
-    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + B - 1524.5;
+export function getEto(date) {
+    // Whole calendar days, so DST shifts and the time of day never move the result
+    const cycleIndex = ((toDayNumber(date) - ETO_ANCHOR_DAY) % 60 + 60) % 60;
+    return getEtoByCycleIndex(cycleIndex);
 }
 
 /**
- * Get Eto (Sexagenary Cycle) for the day
- * Returns { jikkanIndex, junishiIndex, jikkan, junishi }
+ * Eto object for a position in the sexagenary cycle (0 = 甲子)
  */
-export function getEto(date) {
-    // Julian Day at noon
-    const jd = getJulianDay(date);
-    // Offset for Sexagenary cycle
-    // JD 0 was roughly... calculation is usually (JD + 50) % 60 or similar.
-    // Standard: (JD + 49) % 60 ? Let's verify with known date.
-    // 2024-01-01 was Kinoe-Ne (0, 0) ? No.
-    // 2024-01-01 is Kou-Shi (甲子) -> No, 2024-01-01 was Monday.
-    // Let's use a known anchor. Jan 1, 2024 was 'Kinoe-Tatsu' (甲辰) ? No, that's Year.
-    // Day Eto: 2024-01-01 was "Kinoe-Tora" (甲寅) -> Index 50 (Jikkan 0=甲, Junishi 2=寅 is 50? No.)
-    // Let's use reliable formula: (JD + 9) % 10 = Stem, (JD + 1) % 12 = Branch.
-    // Verify: Jan 1 2024 JD ~ 2460310.5. 2460310 + 9 = ...
-
-    // Easier: Milliseconds diff from known 甲子 day.
-    // Constant: 2024-01-01 (Jan 1) was 甲寅 (Kinoe Tora).
-    // 甲(0), 寅(2).
-
-    const anchor = new Date(2024, 0, 1); // Jan 1 2024
-    const msPerDay = 24 * 60 * 60 * 1000;
-    const diffDays = Math.floor((date.getTime() - anchor.getTime()) / msPerDay);
-
-    // 2024-01-01: Stem 0 (甲), Branch 2 (寅). Cycle index 50?
-    // 0,2 in 60 cycle: 
-    // Pairs: (0,0), (1,1)... (0,2) is not possible?
-    // Wait. 2024-01-01 Day is Kinoe-Tora (甲寅)? 
-    // Let me check online... Jan 1 2024 is "Kinoe-Tora".
-    // 0 (Kinoe) and 2 (Tora).
-    // Yes, (0, 2) is possible? No. Stem % 2 == Branch % 2 parity matches?
-    // 0 is even, 2 is even. Matches.
-    // Cycle index: Let X be index. X % 10 = 0, X % 12 = 2.
-    // X = 50. 50 % 10 = 0. 50 % 12 = 2. Correct.
-
-    // 2024-01-01 was Kinoe-Ne (甲子) which is index 0.
-    // Explanation: 
-    // Jan 1 2024 is the base.
-    // The previous implementation assumed index 50 (Kinoe-Tora), but 2024-01-01 is actually Kinoe-Ne (0).
-    // Correcting this anchor fixes the ~2 day (52 vs 50?) or ~10 day shifts.
-
-    // Check diffDays needs to handle negative if date < 2024.
-    // Modulo of negative numbers in JS is negative, so adhere to positive modulus.
-
-    let currentCycle = (0 + diffDays) % 60;
-    if (currentCycle < 0) currentCycle += 60;
-
-    const stemIndex = currentCycle % 10;
-    const branchIndex = currentCycle % 12;
+function getEtoByCycleIndex(cycleIndex) {
+    const stemIndex = cycleIndex % 10;
+    const branchIndex = cycleIndex % 12;
 
     return {
+        cycleIndex,
         stemIndex,
         branchIndex,
         stem: JIKKAN[stemIndex],
@@ -103,128 +172,328 @@ export function getEto(date) {
     };
 }
 
+/**
+ * Cycle index for a stem/branch pair of the same parity
+ */
+function toCycleIndex(stemIndex, branchIndex) {
+    return ((6 * stemIndex - 5 * branchIndex) % 60 + 60) % 60;
+}
+
+/**
+ * Get the Four Pillars (年柱・月柱・日柱・時柱)
+ * - Year: changes at 立春 (1984 = 甲子)
+ * - Month: changes at each 節; 寅月 stem follows the year stem (甲己年 → 丙寅, ...)
+ * - Day: getEto
+ * - Hour: two-hour branches from 子 (23:00-01:00), stem follows the day stem.
+ *   23:00 and later counts as the 子 hour of the next day (夜子時), while the day pillar stays.
+ * Hour uses the local time of `date`.
+ * Returns { year, month, day, hour }, each in the same shape as getEto
+ */
+export function getPillars(date) {
+    const yearCycle = ((getSekkiYear(date) - 1984) % 60 + 60) % 60;
+    const year = getEtoByCycleIndex(yearCycle);
+
+    const { month: sekkiMonth, branchIndex: monthBranch } = getSekkiMonth(date);
+    const monthStem = ((year.stemIndex % 5) * 2 + 2 + (sekkiMonth - 1)) % 10;
+    const month = getEtoByCycleIndex(toCycleIndex(monthStem, monthBranch));
+
+    const day = getEto(date);
+
+    const hourBranch = Math.floor((date.getHours() + 1) / 2) % 12;
+    const hourDayStem = date.getHours() === 23 ? (day.stemIndex + 1) % 10 : day.stemIndex;
+    const hourStem = ((hourDayStem % 5) * 2 + hourBranch) % 10;
+    const hour = getEtoByCycleIndex(toCycleIndex(hourStem, hourBranch));
+
+    return { year, month, day, hour };
+}
+
 /**
  * Get Lucky Days
  */
 export function getLuckyDays(date) {
     const eto = getEto(date);
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
     const lucks = [];
 
     // --- Tensha-bi (Heaven's Forgiveness) Rules ---
-    let season = '';
-    // Approx Seasons (Classic definition for Tensha)
-    // Spring (Risshun Feb 4 - Rikka May 4)
-    // Summer (Rikka May 5 - Risshu Aug 6)
-    // Autumn (Risshu Aug 7 - Rittou Nov 6)
-    // Winter (Rittou Nov 7 - Risshun Feb 3)
-
-    // We can use the same Solar Term logic here or simplify.
-    // Let's rely on standard dates for 2025/2026 roughly.
-    const isSpring = (month === 2 && day >= 4) || month === 3 || month === 4 || (month === 5 && day < 5);
-    const isSummer = (month === 5 && day >= 5) || month === 6 || month === 7 || (month === 8 && day < 7);
-    const isAutumn = (month === 8 && day >= 7) || month === 9 || month === 10 || (month === 11 && day < 7);
-    const isWinter = (month === 11 && day >= 7) || month === 12 || month === 1 || (month === 2 && day < 4);
-
-    if (isSpring) season = 'spring';
-    else if (isSummer) season = 'summer';
-    else if (isAutumn) season = 'autumn';
-    else if (isWinter) season = 'winter';
-
-    if (season === 'spring' && eto.stem === '戊' && eto.branch === '寅') lucks.push({ type: 'tensha', label: '天赦日' });
-    if (season === 'summer' && eto.stem === '甲' && eto.branch === '午') lucks.push({ type: 'tensha', label: '天赦日' });
-    if (season === 'autumn' && eto.stem === '戊' && eto.branch === '申') lucks.push({ type: 'tensha', label: '天赦日' });
-    if (season === 'winter' && eto.stem === '甲' && eto.branch === '子') lucks.push({ type: 'tensha', label: '天赦日' });
+    // Seasons run from each 立春/立夏/立秋/立冬 day to the day before the next one.
+    const season = getSeason(date);
+
+    if (season === 'spring' && eto.stem === '戊' && eto.branch === '寅') lucks.push(luckyDay('tensha'));
+    if (season === 'summer' && eto.stem === '甲' && eto.branch === '午') lucks.push(luckyDay('tensha'));
+    if (season === 'autumn' && eto.stem === '戊' && eto.branch === '申') lucks.push(luckyDay('tensha'));
+    if (season === 'winter' && eto.stem === '甲' && eto.branch === '子') lucks.push(luckyDay('tensha'));
 
     // --- Ichiryumanbai-bi (One Grain 10,000 Fold) ---
-    // Due to complexity, using fixed lookup for 2025-2026
-    // Source: Multiple verified Japanese calendar sites
-    const ichiryumanbaiDates = [
-        // 2025
-        // January
-        '2025-01-06', '2025-01-09', '2025-01-12', '2025-01-21', '2025-01-24',
-        // February
-        '2025-02-02', '2025-02-05', '2025-02-12', '2025-02-17', '2025-02-24',
-        // March
-        '2025-03-01', '2025-03-09', '2025-03-16', '2025-03-21', '2025-03-28',
-        // April
-        '2025-04-02', '2025-04-05', '2025-04-08', '2025-04-17', '2025-04-20', '2025-04-29',
-        // May
-        '2025-05-02', '2025-05-14', '2025-05-15', '2025-05-26', '2025-05-27',
-        // June
-        '2025-06-07', '2025-06-08', '2025-06-10', '2025-06-19', '2025-06-20',
-        // July
-        '2025-07-01', '2025-07-02', '2025-07-14', '2025-07-17', '2025-07-26', '2025-07-29',
-        // August
-        '2025-08-07', '2025-08-10', '2025-08-17', '2025-08-22', '2025-08-29',
-        // September
-        '2025-09-03', '2025-09-08', '2025-09-11', '2025-09-16', '2025-09-23', '2025-09-28',
-        // October
-        '2025-10-05', '2025-10-08', '2025-10-11', '2025-10-20', '2025-10-23',
-        // November
-        '2025-11-01', '2025-11-04', '2025-11-16', '2025-11-17', '2025-11-28', '2025-11-29',
-        // December
-        '2025-12-06', '2025-12-08', '2025-12-09', '2025-12-20', '2025-12-21',
-
-        // 2026
-        // January
-        '2026-01-01', '2026-01-02', '2026-01-05', '2026-01-14', '2026-01-17', '2026-01-26', '2026-01-29',
-        // February
-        '2026-02-08', '2026-02-13', '2026-02-20', '2026-02-25',
-        // March
-        '2026-03-04', '2026-03-05', '2026-03-12', '2026-03-17', '2026-03-24', '2026-03-29',
-        // April
-        '2026-04-08', '2026-04-11', '2026-04-20', '2026-04-23',
-        // May
-        '2026-05-02', '2026-05-05', '2026-05-06', '2026-05-17', '2026-05-18', '2026-05-29', '2026-05-30',
-        // June
-        '2026-06-12', '2026-06-13', '2026-06-24', '2026-06-25',
-        // July
-        '2026-07-06', '2026-07-07', '2026-07-10', '2026-07-19', '2026-07-22', '2026-07-31',
-        // August
-        '2026-08-03', '2026-08-13', '2026-08-18', '2026-08-25', '2026-08-30',
-        // September
-        '2026-09-06', '2026-09-07', '2026-09-14', '2026-09-19', '2026-09-26',
-        // October
-        '2026-10-01', '2026-10-11', '2026-10-14', '2026-10-23', '2026-10-26',
-        // November
-        '2026-11-04', '2026-11-07', '2026-11-08', '2026-11-19', '2026-11-20',
-        // December
-        '2026-12-01', '2026-12-02', '2026-12-15', '2026-12-16', '2026-12-27', '2026-12-28'
-    ];
-
-    const dateStr = `${date.getFullYear()}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-    if (ichiryumanbaiDates.includes(dateStr)) {
-        lucks.push({ type: 'ichiryumanbai', label: '一粒万倍日' });
+    // Fixed day branches for each sekki month, repeating from each 節.
+    const { branchIndex: monthBranch } = getSekkiMonth(date);
+    if (ICHIRYUMANBAI_BRANCHES[JUNISHI[monthBranch]].includes(eto.branch)) {
+        lucks.push(luckyDay('ichiryumanbai'));
     }
 
     // Tora-no-Hi (Tiger Day) - Good for money/travel
-    if (eto.branch === '寅') lucks.push({ type: 'tora', label: '寅の日' });
+    if (eto.branch === '寅') lucks.push(luckyDay('tora'));
 
     // Mi-no-Hi (Snake Day) - Good for arts/money (Benzaiten)
-    if (eto.branch === '巳') lucks.push({ type: 'mi', label: '巳の日' });
+    if (eto.branch === '巳') lucks.push(luckyDay('mi'));
 
     // Tsuchinoto-Mi (Old Snake) - Super Lucky Snake
-    if (eto.stem === '己' && eto.branch === '巳') lucks.push({ type: 'super-mi', label: '己巳の日' });
+    if (eto.stem === '己' && eto.branch === '巳') lucks.push(luckyDay('super-mi'));
 
     return lucks;
 }
 
 /**
- * Get Rokuyo (Simple Alg, might be off by 1 day due to lunar cal)
- * Correct Rokuyo requires Old Calendar Date.
- * (Month + Day) % 6.
- * We'll permit Approx for now or omit if inaccurate.
- * Let's omit or label "Approx" or just calculate roughly.
- * User requested it, so we should try.
- * 
- * If we use standard algo: Month M, Day D (Lunar).
- * 0: Sensho, 1: Tomobiki, 2: Senbu, 3: Butsumetsu, 4: Taian, 5: Shakko.
- * 
- * I will omit Rokuyo self-calc for verification reasons and stick to the verifiable "Lucky Days" (Tensha/Tora/Mi) which are Eto-based and exact.
+ * Copy of a LUCKY_DAY_TYPES entry
+ */
+function luckyDay(type) {
+    return { ...LUCKY_DAY_TYPES.find(l => l.type === type) };
+}
+
+/**
+ * Get Junichoku (十二直) for the day.
+ * 建 falls on the day whose branch matches the sekki month branch, then the twelve
+ * advance with the day branch. Both step on a 節 day, so the previous day's value repeats.
+ * Returns { index, name, reading, meaning }
+ */
+export function getJunichoku(date) {
+    const eto = getEto(date);
+    const { branchIndex: monthBranch } = getSekkiMonth(date);
+    const index = (eto.branchIndex - monthBranch + 12) % 12;
+    return { index, ...JUNICHOKU[index] };
+}
+
+/**
+ * Get Nijuhasshuku (二十八宿) for the day.
+ * An unbroken daily cycle; 28 days is four weeks, so each mansion keeps its weekday
+ * (角 is always a Thursday). 2024-01-01 (Monday) was 畢.
+ * Returns { index, name, reading, good, bad }
+ */
+export function getNijuhasshuku(date) {
+    const anchor = toDayNumber(new Date(2024, 0, 1));
+    const index = ((toDayNumber(date) - anchor + 18) % 28 + 28) % 28;
+    return { index, ...SHUKU[index] };
+}
+
+/**
+ * Get Nijushichishuku (二十七宿) for the day, as used in 宿曜占星術.
+ * Follows the Old Calendar Date: each lunar month starts from a fixed mansion and
+ * advances one per day. Leap months use the month they repeat.
+ * Returns { index, name, reading, good, bad }
+ */
+export function getNijushichishuku(date) {
+    const kyureki = getKyureki(date);
+    const index = (SHUKU_27_MONTH_START[kyureki.month] + kyureki.day - 1) % 27;
+    return { index, ...SHUKU_27[index] };
+}
+
+/**
+ * Get Kyusei (九星) for the year, month and day.
+ * - Year star: changes at 立春.
+ * - Month star: changes at each 節, starting from 八白/五黄/二黒 in 寅月 by the year branch.
+ * - Day star: 陽遁 (ascending from 一白) from the 甲子 day nearest 冬至,
+ *   陰遁 (descending from 九紫) from the 甲子 day nearest 夏至.
+ * Returns { year, month, day, dayCycle: 'yang'|'yin' } where each star is { number, name, color, element }
+ */
+export function getKyusei(date) {
+    const sekkiYear = getSekkiYear(date);
+    const yearNumber = wrapStar(11 - (sekkiYear % 9));
+
+    const yearBranch = ((sekkiYear - 4) % 12 + 12) % 12;
+    const { month: sekkiMonth } = getSekkiMonth(date);
+    const monthNumber = wrapStar(KYUSEI_FIRST_MONTH[yearBranch % 3] - (sekkiMonth - 1));
+
+    const { number: dayNumber, cycle } = getDayStar(toDayNumber(date));
+
+    return {
+        year: KYUSEI[yearNumber - 1],
+        month: KYUSEI[monthNumber - 1],
+        day: KYUSEI[dayNumber - 1],
+        dayCycle: cycle
+    };
+}
+
+/**
+ * Star number in 1-9
+ */
+function wrapStar(n) {
+    return ((n - 1) % 9 + 9) % 9 + 1;
+}
+
+/**
+ * Day star (日家九星) for a day number.
+ * Switch days are the 甲子 nearest each solstice. They are normally 180 days apart;
+ * when they are 240 days apart (閏, about every 11.5 years) the 甲午 day 30 days before
+ * the next switch turns early: 三碧 descending in 陽遁, 七赤 ascending in 陰遁,
+ * which lands exactly on 九紫 / 一白 at the next switch.
+ */
+function getDayStar(dayNumber) {
+    const year = fromDayNumber(dayNumber).getFullYear();
+    const switches = [];
+    for (let y = year - 1; y <= year + 1; y++) {
+        for (const term of getSolarTermsForYear(y)) {
+            if (term.key === 'Touji') switches.push({ dayNumber: nearestKoshi(term.dayNumber), cycle: 'yang' });
+            if (term.key === 'Geshi') switches.push({ dayNumber: nearestKoshi(term.dayNumber), cycle: 'yin' });
+        }
+    }
+    switches.sort((a, b) => a.dayNumber - b.dayNumber);
+
+    const i = switches.findIndex((s, n) => s.dayNumber <= dayNumber && switches[n + 1].dayNumber > dayNumber);
+    const current = switches[i];
+    const next = switches[i + 1];
+    const isYang = current.cycle === 'yang';
+
+    const koUma = next.dayNumber - 30; // 甲午
+    if (next.dayNumber - current.dayNumber === 240 && dayNumber >= koUma) {
+        const elapsed = dayNumber - koUma;
+        return { number: wrapStar(isYang ? 3 - elapsed : 7 + elapsed), cycle: isYang ? 'yin' : 'yang' };
+    }
+
+    const elapsed = dayNumber - current.dayNumber;
+    return { number: wrapStar(isYang ? 1 + elapsed : 9 - elapsed), cycle: current.cycle };
+}
+
+/**
+ * Day number of the 甲子 day nearest the given day
+ */
+function nearestKoshi(dayNumber) {
+    const cycle = getEto(fromDayNumber(dayNumber)).cycleIndex;
+    return cycle < 30 ? dayNumber - cycle : dayNumber + (60 - cycle);
+}
+
+/**
+ * Get Senjitsu (選日) periods overlapping the days from `start` to `end` (inclusive):
+ * 土用 ('doyo'), 八専 ('happen'), 十方暮 ('jippogure') and 天一天上 ('tenichitenjo').
+ * 間日 (mabi) are days inside a period on which its taboos do not apply.
+ * Returns [{ type, label, start: Date, end: Date, mabi: Date[], season? }] sorted by start
+ */
+export function getSenjitsuPeriods(start, end) {
+    const from = toDayNumber(start);
+    const to = toDayNumber(end);
+    const periods = [];
+
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+        for (const doyo of getDoyoPeriods(year)) {
+            if (doyo.endDay >= from && doyo.startDay <= to) {
+                periods.push({
+                    ...toPeriod('doyo', doyo.label, doyo.startDay, doyo.endDay, eto => doyo.mabi.includes(eto.branch)),
+                    season: doyo.season
+                });
+            }
+        }
+    }
+
+    const fromCycle = getEto(start).cycleIndex;
+    for (const def of CYCLE_PERIODS) {
+        // Latest start of this period on or before `from`, then every 60 days
+        for (let day = from - (fromCycle - def.start + 60) % 60; day <= to; day += 60) {
+            const endDay = day + def.length - 1;
+            if (endDay >= from) {
+                periods.push(toPeriod(def.type, def.label, day, endDay, eto => def.mabi.includes(eto.etoString)));
+            }
+        }
+    }
+
+    return periods.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Get the Senjitsu periods covering the day
+ * Returns [{ type, label, start, end, mabi, isMabi }]
+ */
+export function getSenjitsu(date) {
+    const dayNumber = toDayNumber(date);
+    return getSenjitsuPeriods(date, date).map(p => ({
+        ...p,
+        isMabi: p.mabi.some(d => toDayNumber(d) === dayNumber)
+    }));
+}
+
+/**
+ * Get Doyo-no-Ushi-no-Hi (土用の丑の日): a 丑 day within 土用.
+ * 土用 usually has one or two 丑 days; the second is 二の丑.
+ * Returns { type: 'doyo-ushi', label, season } or null
+ */
+export function getDoyoUshi(date) {
+    if (getEto(date).branch !== '丑') return null;
+
+    const doyo = getSenjitsuPeriods(date, date).find(p => p.type === 'doyo');
+    if (!doyo) return null;
+
+    // 丑 days recur every 12 days
+    const isSecond = toDayNumber(date) - toDayNumber(doyo.start) >= 12;
+    return { type: 'doyo-ushi', label: isSecond ? '土用二の丑' : '土用の丑の日', season: doyo.season };
+}
+
+/**
+ * The four Doyo periods starting in a year, as day numbers
+ */
+function getDoyoPeriods(year) {
+    if (doyoCache.has(year)) return doyoCache.get(year);
+
+    const terms = getSolarTermsForYear(year);
+    const periods = DOYO.map(doyo => ({
+        ...doyo,
+        startDay: jstDayNumber(getSolarTermTime(year, doyo.longitude)),
+        endDay: terms.find(t => t.longitude === doyo.endLongitude).dayNumber - 1
+    }));
+
+    doyoCache.set(year, periods);
+    return periods;
+}
+
+/**
+ * Period object with its 間日 picked out by `isMabi(eto)`
+ */
+function toPeriod(type, label, startDay, endDay, isMabi) {
+    const mabi = [];
+    for (let day = startDay; day <= endDay; day++) {
+        const date = fromDayNumber(day);
+        if (isMabi(getEto(date))) mabi.push(date);
+    }
+    return { type, label, start: fromDayNumber(startDay), end: fromDayNumber(endDay), mabi };
+}
+
+/**
+ * Get Rokuyo from the Old Calendar Date: (Lunar Month + Lunar Day) % 6.
+ * 0: Taian, 1: Shakko, 2: Sensho, 3: Tomobiki, 4: Senbu, 5: Butsumetsu.
+ * Leap months count as the month they repeat, so 1/1 and 閏1/1 are both Sensho.
+ * Returns { type, label }
  */
 export function getRokuyo(date) {
-    // Placeholder - requires Lunar Calendar lib
-    return null;
+    const kyureki = getKyureki(date);
+    return ROKUYO[(kyureki.month + kyureki.day) % 6];
+}
+
+/**
+ * Get Unlucky Days
+ * Fujoju-bi follows the Old Calendar Date; Sanrinbo, Jushi-nichi and Jusshi-nichi
+ * follow the sekki month (changing at each 節) and the day branch.
+ * Returns [{ type, label }]
+ */
+export function getUnluckyDays(date) {
+    const eto = getEto(date);
+    const kyureki = getKyureki(date);
+    const { month: sekkiMonth } = getSekkiMonth(date);
+    const rokuyo = getRokuyo(date);
+    const unlucks = [];
+
+    // Fujoju-bi (Day of Non-Fulfillment) - Nothing started today comes to fruition
+    // Leap months count as the month they repeat.
+    if (FUJOJU_DAYS[(kyureki.month - 1) % 6 + 1].includes(kyureki.day)) {
+        unlucks.push({ type: 'fujoju', label: '不成就日' });
+    }
+
+    // Sanrinbo (Three Neighbors Ruined) - Bad for construction
+    if (eto.branch === SANRINBO_BRANCHES[(sekkiMonth - 1) % 3]) unlucks.push({ type: 'sanrinbo', label: '三隣亡' });
+
+    // Jushi-nichi (Day of Receiving Death) - The worst day, except for funerals
+    if (eto.branch === JUSHI_BRANCHES[sekkiMonth - 1]) unlucks.push({ type: 'jushi', label: '受死日' });
+
+    // Jusshi-nichi (Day of Ten Deaths)
+    if (eto.branch === JUSSHI_BRANCHES[(sekkiMonth - 1) % 3]) unlucks.push({ type: 'jusshi', label: '十死日' });
+
+    // Rokuyo
+    if (rokuyo.type === 'shakko' || rokuyo.type === 'butsumetsu') unlucks.push(rokuyo);
+
+    return unlucks;
 }
@@ -0,0 +1,136 @@
+/**
+ * Kou Module (七十二候)
+ * Each solar term splits into three 候 (初候・次候・末候) of 5° of solar longitude.
+ * Names follow the 本朝七十二候 of the 略本暦.
+ * Uses Astronomy Engine from AstronomyBackend.js
+ */
+import { SOLAR_TERMS } from './SolarTerms.js';
+import { MS_PER_DAY, jstMidnight, jstDayNumber, fromDayNumber } from './DateUtil.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+// Indexed by longitude / 5 (0 = 春分初候 at 0°), so KOU[i] belongs to SOLAR_TERMS[floor(i / 3)].
+export const KOU = [
+    // 春分
+    { name: '雀始巣', reading: 'すずめはじめてすくう', description: '雀が枝や枯れ草を集め、巣を作り始める頃。' },
+    { name: '桜始開', reading: 'さくらはじめてひらく', description: '桜の花が咲き始める頃。花見の便りが各地から届く。' },
+    { name: '雷乃発声', reading: 'かみなりすなわちこえをはっす', description: '春の訪れを告げる遠雷が鳴り始める頃。' },
+    // 清明
+    { name: '玄鳥至', reading: 'つばめきたる', description: '燕が南の国から渡ってくる頃。' },
+    { name: '鴻雁北', reading: 'こうがんかえる', description: '冬を過ごした雁が北へ帰っていく頃。' },
+    { name: '虹始見', reading: 'にじはじめてあらわる', description: '春の雨上がりに、初めて虹が見える頃。' },
+    // 穀雨
+    { name: '葭始生', reading: 'あしはじめてしょうず', description: '水辺の葦が芽を吹き始める頃。' },
+    { name: '霜止出苗', reading: 'しもやんでなえいずる', description: '霜が降りなくなり、稲の苗が育つ頃。' },
+    { name: '牡丹華', reading: 'ぼたんはなさく', description: '百花の王、牡丹が大きな花を咲かせる頃。' },
+    // 立夏
+    { name: '蛙始鳴', reading: 'かわずはじめてなく', description: '田んぼで蛙が鳴き始める頃。' },
+    { name: '蚯蚓出', reading: 'みみずいずる', description: '冬眠していたみみずが地上に這い出てくる頃。' },
+    { name: '竹笋生', reading: 'たけのこしょうず', description: '筍がにょきにょきと生えてくる頃。' },
+    // 小満
+    { name: '蚕起食桑', reading: 'かいこおきてくわをはむ', description: '蚕が目覚め、桑の葉を盛んに食べ始める頃。' },
+    { name: '紅花栄', reading: 'べにばなさかう', description: '紅花が一面に咲き誇る頃。' },
+    { name: '麦秋至', reading: 'むぎのときいたる', description: '麦が黄金色に実り、刈り入れを迎える頃。' },
+    // 芒種
+    { name: '蟷螂生', reading: 'かまきりしょうず', description: '卵からかまきりが孵る頃。' },
+    { name: '腐草為螢', reading: 'くされたるくさほたるとなる', description: '草むらから蛍が飛び交い始める頃。' },
+    { name: '梅子黄', reading: 'うめのみきばむ', description: '梅の実が黄ばんで熟す頃。梅雨の語源ともいわれる。' },
+    // 夏至
+    { name: '乃東枯', reading: 'なつかれくさかるる', description: '冬に芽を出した夏枯草（靫草）が枯れる頃。' },
+    { name: '菖蒲華', reading: 'あやめはなさく', description: '菖蒲の花が咲く頃。' },
+    { name: '半夏生', reading: 'はんげしょうず', description: '半夏（烏柄杓）が生える頃。田植えを終える目安とされた。' },
+    // 小暑
+    { name: '温風至', reading: 'あつかぜいたる', description: '熱を帯びた夏の風が吹き始める頃。' },
+    { name: '蓮始開', reading: 'はすはじめてひらく', description: '蓮の花が開き始める頃。' },
+    { name: '鷹乃学習', reading: 'たかすなわちわざをならう', description: '鷹の幼鳥が飛び方や狩りを覚え、巣立ちの準備をする頃。' },
+    // 大暑
+    { name: '桐始結花', reading: 'きりはじめてはなをむすぶ', description: '桐が花を終え、実を結び始める頃。' },
+    { name: '土潤溽暑', reading: 'つちうるおうてむしあつし', description: '土が湿り、蒸し暑さが続く頃。' },
+    { name: '大雨時行', reading: 'たいうときどきふる', description: '夕立や集中豪雨が時折降る頃。' },
+    // 立秋
+    { name: '涼風至', reading: 'すずかぜいたる', description: '夏の暑さの中にも、涼しい風が吹き始める頃。' },
+    { name: '寒蝉鳴', reading: 'ひぐらしなく', description: '夕暮れにひぐらしが鳴く頃。' },
+    { name: '蒙霧升降', reading: 'ふかききりまとう', description: '朝夕に深い霧が立ち込める頃。' },
+    // 処暑
+    { name: '綿柎開', reading: 'わたのはなしべひらく', description: '綿を包む萼（がく）が開き始める頃。' },
+    { name: '天地始粛', reading: 'てんちはじめてさむし', description: 'ようやく暑さが鎮まり始める頃。' },
+    { name: '禾乃登', reading: 'こくものすなわちみのる', description: '稲が実り、穂を垂らす頃。' },
+    // 白露
+    { name: '草露白', reading: 'くさのつゆしろし', description: '草に降りた露が白く光る頃。' },
+    { name: '鶺鴒鳴', reading: 'せきれいなく', description: '鶺鴒が鳴き始める頃。' },
+    { name: '玄鳥去', reading: 'つばめさる', description: '燕が南の国へ帰っていく頃。' },
+    // 秋分
+    { name: '雷乃収声', reading: 'かみなりすなわちこえをおさむ', description: '夏の間に鳴り響いた雷が収まる頃。' },
+    { name: '蟄虫坏戸', reading: 'むしかくれてとをふさぐ', description: '虫たちが土の中に隠れ、入り口を塞ぐ頃。' },
+    { name: '水始涸', reading: 'みずはじめてかるる', description: '田の水を抜き、稲刈りの準備をする頃。' },
+    // 寒露
+    { name: '鴻雁来', reading: 'こうがんきたる', description: '雁が北から渡ってくる頃。' },
+    { name: '菊花開', reading: 'きくのはなひらく', description: '菊の花が咲き始める頃。' },
+    { name: '蟋蟀在戸', reading: 'きりぎりすとにあり', description: '戸口で秋の虫が鳴く頃。' },
+    // 霜降
+    { name: '霜始降', reading: 'しもはじめてふる', description: '朝夕に冷え込み、霜が降り始める頃。' },
+    { name: '霎時施', reading: 'こさめときどきふる', description: '小雨がしとしとと降る頃。' },
+    { name: '楓蔦黄', reading: 'もみじつたきばむ', description: '紅葉や蔦が色づく頃。' },
+    // 立冬
+    { name: '山茶始開', reading: 'つばきはじめてひらく', description: '山茶花（さざんか）が咲き始める頃。' },
+    { name: '地始凍', reading: 'ちはじめてこおる', description: '大地が凍り始める頃。' },
+    { name: '金盞香', reading: 'きんせんかさく', description: '水仙の花が咲き、香りを漂わせる頃。' },
+    // 小雪
+    { name: '虹蔵不見', reading: 'にじかくれてみえず', description: '日差しが弱まり、虹を見かけなくなる頃。' },
+    { name: '朔風払葉', reading: 'きたかぜこのはをはらう', description: '北風が木々の葉を払い落とす頃。' },
+    { name: '橘始黄', reading: 'たちばなはじめてきばむ', description: '橘の実が黄色く色づき始める頃。' },
+    // 大雪
+    { name: '閉塞成冬', reading: 'そらさむくふゆとなる', description: '天地の気が塞がり、本格的な冬を迎える頃。' },
+    { name: '熊蟄穴', reading: 'くまあなにこもる', description: '熊が冬眠のために穴にこもる頃。' },
+    { name: '鱖魚群', reading: 'さけのうおむらがる', description: '鮭が群がって川を上っていく頃。' },
+    // 冬至
+    { name: '乃東生', reading: 'なつかれくさしょうず', description: '夏枯草（靫草）が芽を出す頃。' },
+    { name: '麋角解', reading: 'さわしかのつのおつる', description: '大鹿の角が抜け落ちる頃。' },
+    { name: '雪下出麦', reading: 'ゆきわたりてむぎのびる', description: '降り積もる雪の下で、麦が芽を出す頃。' },
+    // 小寒
+    { name: '芹乃栄', reading: 'せりすなわちさかう', description: '芹がよく生える頃。七草粥の一つ。' },
+    { name: '水泉動', reading: 'しみずあたたかをふくむ', description: '地中で凍っていた泉が動き始める頃。' },
+    { name: '雉始雊', reading: 'きじはじめてなく', description: '雉の雄が雌を求めて鳴き始める頃。' },
+    // 大寒
+    { name: '款冬華', reading: 'ふきのはなさく', description: '雪の下から蕗の薹（ふきのとう）が顔を出す頃。' },
+    { name: '水沢腹堅', reading: 'さわみずこおりつめる', description: '沢の水が厚く張りつめる、一年で最も寒い頃。' },
+    { name: '鶏始乳', reading: 'にわとりはじめてとやにつく', description: '鶏が春の気配を感じ、卵を産み始める頃。' },
+    // 立春
+    { name: '東風解凍', reading: 'はるかぜこおりをとく', description: '春風が厚い氷を解かし始める頃。' },
+    { name: '黄鶯睍睆', reading: 'うぐいすなく', description: '山里で鶯が鳴き始める頃。' },
+    { name: '魚上氷', reading: 'うおこおりをいずる', description: '割れた氷の間から魚が跳ね上がる頃。' },
+    // 雨水
+    { name: '土脉潤起', reading: 'つちのしょううるおいおこる', description: '雨が降って土が湿り気を含む頃。' },
+    { name: '霞始靆', reading: 'かすみはじめてたなびく', description: '春霞がたなびき始める頃。' },
+    { name: '草木萌動', reading: 'そうもくめばえいずる', description: '草木が芽吹き始める頃。' },
+    // 啓蟄
+    { name: '蟄虫啓戸', reading: 'すごもりむしとをひらく', description: '冬ごもりしていた虫が、戸を開いて出てくる頃。' },
+    { name: '桃始笑', reading: 'ももはじめてさく', description: '桃の花が咲き始める頃。' },
+    { name: '菜虫化蝶', reading: 'なむしちょうとなる', description: '青虫が羽化して紋白蝶になる頃。' }
+];
+
+const POSITIONS = ['初候', '次候', '末候'];
+
+/**
+ * 候 in effect on the given DAY (JST).
+ * Like the solar terms, a 候 that begins during the day owns the whole day,
+ * so the Sun's longitude is read at the end of the day.
+ * @param {Date} date
+ * @returns {{ index: number, name: string, reading: string, description: string, term: object, position: string, start: Date }}
+ */
+export function getKou(date) {
+    const Astronomy = getAstronomy();
+
+    const endOfDay = jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate() + 1);
+    const index = Math.floor(Astronomy.SunPosition(endOfDay).elon / 5) % 72;
+
+    // A 候 lasts about 5 days, so its start lies within the previous week
+    const start = Astronomy.SearchSunLongitude(index * 5, new Date(endOfDay.getTime() - 7 * MS_PER_DAY), 7);
+
+    return {
+        index,
+        ...KOU[index],
+        term: SOLAR_TERMS[Math.floor(index / 3)],
+        position: POSITIONS[index % 3],
+        start: fromDayNumber(jstDayNumber(start.date))
+    };
+}
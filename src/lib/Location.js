@@ -0,0 +1,53 @@
+/**
+ * Observer Locations
+ * Presets for rise/set calculations. Times are still shown in JST.
+ */
+
+// Major Japanese cities (prefectural office coordinates)
+export const CITY_PRESETS = [
+    { id: 'sapporo', name: '札幌', latitude: 43.0642, longitude: 141.3469 },
+    { id: 'sendai', name: '仙台', latitude: 38.2688, longitude: 140.8721 },
+    { id: 'niigata', name: '新潟', latitude: 37.9022, longitude: 139.0236 },
+    { id: 'tokyo', name: '東京', latitude: 35.6895, longitude: 139.6917 },
+    { id: 'yokohama', name: '横浜', latitude: 35.4478, longitude: 139.6425 },
+    { id: 'kanazawa', name: '金沢', latitude: 36.5947, longitude: 136.6256 },
+    { id: 'nagoya', name: '名古屋', latitude: 35.1802, longitude: 136.9066 },
+    { id: 'kyoto', name: '京都', latitude: 35.0212, longitude: 135.7556 },
+    { id: 'osaka', name: '大阪', latitude: 34.6863, longitude: 135.5200 },
+    { id: 'hiroshima', name: '広島', latitude: 34.3966, longitude: 132.4596 },
+    { id: 'takamatsu', name: '高松', latitude: 34.3401, longitude: 134.0434 },
+    { id: 'fukuoka', name: '福岡', latitude: 33.6064, longitude: 130.4183 },
+    { id: 'kagoshima', name: '鹿児島', latitude: 31.5602, longitude: 130.5581 },
+    { id: 'naha', name: '那覇', latitude: 26.2124, longitude: 127.6809 }
+];
+
+export const DEFAULT_LOCATION = CITY_PRESETS.find(c => c.id === 'tokyo');
+
+/**
+ * Build a custom location from user input
+ * @param {number} latitude - Degrees north, -90 to 90
+ * @param {number} longitude - Degrees east, -180 to 180
+ * @returns {{ id: string, name: string, latitude: number, longitude: number }}
+ */
+export function createLocation(latitude, longitude) {
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        throw new RangeError(`Invalid latitude: ${latitude}`);
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        throw new RangeError(`Invalid longitude: ${longitude}`);
+    }
+    return {
+        id: 'custom',
+        name: `${latitude.toFixed(2)}°, ${longitude.toFixed(2)}°`,
+        latitude,
+        longitude
+    };
+}
+
+/**
+ * Find a preset by id (falls back to the default location)
+ * @param {string} id
+ */
+export function getCityPreset(id) {
+    return CITY_PRESETS.find(c => c.id === id) || DEFAULT_LOCATION;
+}
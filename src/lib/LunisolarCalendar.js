@@ -0,0 +1,118 @@
+/**
+ * Lunisolar Calendar Module (旧暦)
+ * Uses Astronomy Engine from AstronomyBackend.js
+ *
+ * Follows the modern 天保暦 rules as computed in JST:
+ * - A month starts on the JST day of a new moon.
+ * - The month containing 冬至 is the 11th month.
+ * - A month is numbered by the 中気 it contains (雨水 → 1月, 春分 → 2月, ...).
+ * - When 13 months lie between two 11th months, the first month without a
+ *   中気 becomes the leap month (閏月) of the month before it.
+ */
+import { MS_PER_DAY, jstDayNumber, toDayNumber } from './DateUtil.js';
+import { getSolarTermsForYear } from './SolarTerms.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+// Lunar months per winter-solstice span, keyed by the Gregorian year of the closing 冬至.
+const spanCache = new Map();
+
+/**
+ * New-moon instants from `from` up to (and including) the first one after `to`.
+ */
+function findNewMoons(from, to) {
+    const Astronomy = getAstronomy();
+
+    const moons = [];
+    let cursor = from;
+    while (true) {
+        const time = Astronomy.SearchMoonPhase(0, cursor, 40);
+        if (!time) throw new Error(`New moon not found after ${cursor.toISOString()}`);
+        moons.push(time.date);
+        if (time.date > to) return moons;
+        cursor = new Date(time.date.getTime() + MS_PER_DAY);
+    }
+}
+
+/**
+ * Lunar months from the 11th month containing 冬至 of `year - 1`
+ * up to (not including) the 11th month containing 冬至 of `year`.
+ */
+function getSpan(year) {
+    if (spanCache.has(year)) return spanCache.get(year);
+
+    const chuki = [...getSolarTermsForYear(year - 1), ...getSolarTermsForYear(year)]
+        .filter(t => !t.isSetsu);
+    const winterSolstices = chuki.filter(t => t.key === 'Touji');
+    const [startSolstice, endSolstice] = winterSolstices;
+
+    // Start a little over a month early so the new moon before the first 冬至 is included.
+    const searchFrom = new Date(startSolstice.time.getTime() - 32 * MS_PER_DAY);
+    const starts = findNewMoons(searchFrom, endSolstice.time).map(jstDayNumber);
+
+    // Index of the month that contains a given day
+    const monthIndexOf = dayNumber => {
+        let index = -1;
+        for (let i = 0; i < starts.length && starts[i] <= dayNumber; i++) index = i;
+        return index;
+    };
+    const first = monthIndexOf(startSolstice.dayNumber);
+    const last = monthIndexOf(endSolstice.dayNumber);
+    const hasLeap = last - first === 13;
+
+    const months = [];
+    // Months 11 and 12 at the head of the span still belong to the previous lunar year.
+    let lunarYear = year - 1;
+    let monthNumber = 11;
+    let leapAssigned = false;
+    for (let i = first; i < last; i++) {
+        const start = starts[i];
+        const end = starts[i + 1];
+        const containsChuki = chuki.some(t => t.dayNumber >= start && t.dayNumber < end);
+        const isLeap = hasLeap && !leapAssigned && i > first && !containsChuki;
+
+        if (isLeap) {
+            leapAssigned = true;
+        } else if (i > first) {
+            monthNumber = monthNumber % 12 + 1;
+            if (monthNumber === 1) lunarYear = year;
+        }
+        months.push({
+            year: lunarYear,
+            month: monthNumber,
+            isLeap,
+            start,
+            length: end - start
+        });
+    }
+
+    spanCache.set(year, months);
+    return months;
+}
+
+/**
+ * Convert a calendar day to the old lunisolar calendar (旧暦)
+ * @param {Date} date
+ * @returns {{ year: number, month: number, day: number, isLeap: boolean, monthLength: number }}
+ */
+export function getKyureki(date) {
+    const dayNumber = toDayNumber(date);
+    const year = date.getFullYear();
+
+    // Days on or after this year's 11th month belong to the span closing next year.
+    let months = getSpan(year + 1);
+    if (dayNumber < months[0].start) months = getSpan(year);
+
+    let current = months[0];
+    for (const month of months) {
+        if (month.start > dayNumber) break;
+        current = month;
+    }
+
+    return {
+        year: current.year,
+        month: current.month,
+        day: dayNumber - current.start + 1,
+        isLeap: current.isLeap,
+        monthLength: current.length
+    };
+}
@@ -1,10 +1,86 @@
 /**
  * Moon Data Module
- * Uses Astronomy Engine (loaded via script tag as window.Astronomy)
+ * Uses Astronomy Engine from AstronomyBackend.js
  */
+import { MS_PER_DAY, MS_PER_MINUTE, jstMidnight, jstDayNumber, toDayNumber } from './DateUtil.js';
+import { DEFAULT_LOCATION } from './Location.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+// Tropical zodiac signs, 30° each from the vernal equinox
+export const ZODIAC_SIGNS = [
+    { key: 'aries', name: '牡羊座', glyph: '♈' },
+    { key: 'taurus', name: '牡牛座', glyph: '♉' },
+    { key: 'gemini', name: '双子座', glyph: '♊' },
+    { key: 'cancer', name: '蟹座', glyph: '♋' },
+    { key: 'leo', name: '獅子座', glyph: '♌' },
+    { key: 'virgo', name: '乙女座', glyph: '♍' },
+    { key: 'libra', name: '天秤座', glyph: '♎' },
+    { key: 'scorpio', name: '蠍座', glyph: '♏' },
+    { key: 'sagittarius', name: '射手座', glyph: '♐' },
+    { key: 'capricorn', name: '山羊座', glyph: '♑' },
+    { key: 'aquarius', name: '水瓶座', glyph: '♒' },
+    { key: 'pisces', name: '魚座', glyph: '♓' }
+];
+
+// Moon phase events, indexed by Astronomy.MoonQuarter.quarter (0=New, 1=First Quarter, 2=Full, 3=Last Quarter)
+export const MOON_PHASE_TYPES = [
+    { type: 'new-moon', label: '新月', quarter: 0 },
+    { type: 'first-quarter', label: '上弦の月', quarter: 1 },
+    { type: 'full-moon', label: '満月', quarter: 2 },
+    { type: 'last-quarter', label: '下弦の月', quarter: 3 }
+];
+
+// Traditional names by moon day (floor of the noon moon age + 1, so 三日月 is age 2.x)
+// Unnamed days are counted ("四日月") and explained as waxing/waning.
+const MOON_NAMES = [
+    { key: 'shingetsu', name: '新月', reading: 'しんげつ' },
+    { key: 'sengetsu', name: '繊月', reading: 'せんげつ' },
+    { key: 'mikazuki', name: '三日月', reading: 'みかづき' },
+    { key: 'waxing', name: '四日月', reading: 'よっかづき' },
+    { key: 'waxing', name: '五日月', reading: 'いつかづき' },
+    { key: 'waxing', name: '六日月', reading: 'むいかづき' },
+    { key: 'waxing', name: '七日月', reading: 'なのかづき' },
+    { key: 'jougen', name: '上弦の月', reading: 'じょうげんのつき' },
+    { key: 'waxing', name: '九日月', reading: 'ここのかづき' },
+    { key: 'tokanya', name: '十日夜', reading: 'とおかんや' },
+    { key: 'waxing', name: '十一日月', reading: 'じゅういちにちづき' },
+    { key: 'waxing', name: '十二日月', reading: 'じゅうににちづき' },
+    { key: 'jusanya', name: '十三夜', reading: 'じゅうさんや' },
+    { key: 'komochizuki', name: '小望月', reading: 'こもちづき' },
+    { key: 'jugoya', name: '十五夜', reading: 'じゅうごや' },
+    { key: 'izayoi', name: '十六夜', reading: 'いざよい' },
+    { key: 'tachimachi', name: '立待月', reading: 'たちまちづき' },
+    { key: 'imachi', name: '居待月', reading: 'いまちづき' },
+    { key: 'nemachi', name: '寝待月', reading: 'ねまちづき' },
+    { key: 'fukemachi', name: '更待月', reading: 'ふけまちづき' },
+    { key: 'waning', name: '二十一日月', reading: 'にじゅういちにちづき' },
+    { key: 'waning', name: '二十二日月', reading: 'にじゅうににちづき' },
+    { key: 'nijusanya', name: '二十三夜', reading: 'にじゅうさんや' },
+    { key: 'waning', name: '二十四日月', reading: 'にじゅうよっかづき' },
+    { key: 'waning', name: '二十五日月', reading: 'にじゅうごにちづき' },
+    { key: 'nijurokuya', name: '二十六夜', reading: 'にじゅうろくや' },
+    { key: 'ariake', name: '有明月', reading: 'ありあけづき' },
+    { key: 'ariake', name: '有明月', reading: 'ありあけづき' },
+    { key: 'ariake', name: '有明月', reading: 'ありあけづき' },
+    { key: 'misokazuki', name: '晦日月', reading: 'みそかづき' }
+];
+
+// Phase events per month ("YYYY-M")
+const phaseEventCache = new Map();
+
+// Bodies checked for aspects when finding Void-of-Course periods
+const VOID_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+// Ptolemaic aspects as Moon-minus-body longitude separations (both sides of each aspect)
+const ASPECT_SEPARATIONS = [0, 60, 90, 120, 180, 240, 270, 300];
+// How far back from an ingress to look for the last aspect. The Moon crosses a sign in
+// about 2.5 days, so 5 days covers its whole stay in the sign it is leaving, with margin.
+const VOID_SEARCH_DAYS = 5;
+
+// Void periods by ingress time (minutes), shared between calendar cells and the modal
+const voidCache = new Map();
 
 export function getMoonPhase(date) {
-    if (!window.Astronomy) return { phase: 'unknown', age: 0, illumination: 0 };
+    const Astronomy = getAstronomy();
 
     // Astronomy Engine date
     const astroDate = date;
@@ -14,54 +90,254 @@ export function getMoonPhase(date) {
     const solarElongation = Astronomy.MoonPhase(astroDate); // 0=New, 90=First Quarter, 180=Full
 
     // Illumination fraction
-    const illum = Astronomy.Illumination(Astronomy.Body.Moon, astroDate).mag; // Magnitude? No, phase_fraction.
     // Astronomy.Illumination returns { mag, phase_fraction, ... }
     const illumination = Astronomy.Illumination(Astronomy.Body.Moon, astroDate).phase_fraction * 100;
 
-    // Age (Approx or calculate time since last New Moon)
-    // Simply mapping degrees to age (0-29.5)
-    // Age = (Degrees / 360) * 29.53
-    const age = (solarElongation / 360) * 29.53;
+    // Age: time since the previous new moon, taken at noon JST (正午月齢) like printed calendars
+    const moonName = getMoonName(date);
+    const age = moonName.age;
 
     // Phase Name
-    let phaseName = '';
-    // Simple 8-state
-    // New: 0-2, Waxing Cres: 2-88...
-    // 0: New, 90: First Q, 180: Full, 270: Last Q.
+    // Only the day holding the exact new moon / quarter / full moon instant gets a name.
     const deg = solarElongation;
-    if (deg < 5 || deg > 355) phaseName = '新月';
-    else if (deg >= 85 && deg < 95) phaseName = '上弦の月';
-    else if (deg >= 175 && deg < 185) phaseName = '満月';
-    else if (deg >= 265 && deg < 275) phaseName = '下弦の月';
-    else phaseName = '';
+    const phaseEvent = getMoonPhaseEvent(date);
+    const phaseName = phaseEvent ? phaseEvent.name : '';
 
     return {
         phaseName,
+        phaseEvent,
+        moonName,
         age: age.toFixed(1),
         illumination: illumination.toFixed(0),
         degrees: deg
     };
 }
 
+/**
+ * True moon age (月齢): days since the previous new moon
+ * @param {Date} instant
+ * @returns {number}
+ */
+export function getMoonAge(instant) {
+    const Astronomy = getAstronomy();
+
+    const newMoon = Astronomy.SearchMoonPhase(0, instant, -35);
+    return (instant.getTime() - newMoon.date.getTime()) / MS_PER_DAY;
+}
+
+/**
+ * Traditional Japanese moon name for the given DAY, keyed by the moon age at noon JST
+ * @param {Date} date
+ * @returns {{ key: string, name: string, reading: string, age: number }}
+ */
+export function getMoonName(date) {
+    const noon = new Date(jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate()).getTime() + MS_PER_DAY / 2);
+    const age = getMoonAge(noon);
+    const moonDay = Math.min(Math.floor(age), MOON_NAMES.length - 1);
+    return { ...MOON_NAMES[moonDay], age };
+}
+
+/**
+ * Exact instants of 新月/上弦/満月/下弦 whose JST date falls in the given month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {Array<{ quarter: number, name: string, time: Date }>}
+ */
+export function getMoonPhaseEvents(year, month) {
+    const Astronomy = getAstronomy();
+
+    const key = `${year}-${month}`;
+    if (phaseEventCache.has(key)) return phaseEventCache.get(key);
+
+    const monthEnd = jstMidnight(year, month + 1, 1);
+    const events = [];
+    let quarter = Astronomy.SearchMoonQuarter(jstMidnight(year, month, 1));
+    while (quarter.time.date < monthEnd) {
+        events.push({ quarter: quarter.quarter, name: MOON_PHASE_TYPES[quarter.quarter].label, time: quarter.time.date });
+        quarter = Astronomy.NextMoonQuarter(quarter);
+    }
+
+    phaseEventCache.set(key, events);
+    return events;
+}
+
+/**
+ * Phase event (新月/上弦/満月/下弦) on the given DAY (JST), or null
+ * @param {Date} date
+ */
+export function getMoonPhaseEvent(date) {
+    const dayNumber = toDayNumber(date);
+    return getMoonPhaseEvents(date.getFullYear(), date.getMonth() + 1)
+        .find(e => jstDayNumber(e.time) === dayNumber) || null;
+}
+
+/**
+ * Get the Moon's zodiac sign (月星座) over the given DAY (JST).
+ * The Moon stays over two days in each sign, so it changes sign at most once a day.
+ *
+ * @param {Date} date
+ * @returns {{ sign: object, ingress: { time: Date, sign: object }|null }}
+ *          `sign` is the sign at 00:00 JST, `ingress` the change during the day, if any.
+ */
+export function getMoonSign(date) {
+    const dayStart = jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const dayEnd = new Date(dayStart.getTime() + MS_PER_DAY);
+    const next = findNextIngress(dayStart);
+
+    return {
+        sign: getMoonSignAt(dayStart),
+        ingress: next.time < dayEnd ? { time: next.time, sign: ZODIAC_SIGNS[next.sign] } : null
+    };
+}
+
+/**
+ * Moon's zodiac sign at an instant
+ * @param {Date} instant
+ */
+export function getMoonSignAt(instant) {
+    return ZODIAC_SIGNS[Math.floor(getMoonLongitude(instant) / 30)];
+}
+
+/**
+ * Moonrise, meridian transit (南中) and moonset on the given DAY (JST) at a location.
+ * The Moon rises about 50 minutes later each day, so some days have no rise,
+ * transit or set; those fields are null.
+ *
+ * @param {Date} date
+ * @param {{ latitude: number, longitude: number }} [location] - Defaults to Tokyo
+ * @returns {{ rise: Date|null, transit: Date|null, transitAltitude: number|null, set: Date|null }}
+ */
+export function getMoonTimes(date, location = DEFAULT_LOCATION) {
+    const Astronomy = getAstronomy();
+
+    const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+    const dayStart = jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const dayEnd = new Date(dayStart.getTime() + MS_PER_DAY);
+
+    const rise = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, +1, dayStart, 1);
+    const set = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, -1, dayStart, 1);
+    const transit = Astronomy.SearchHourAngle(Astronomy.Body.Moon, observer, 0, dayStart);
+    const hasTransit = transit.time.date < dayEnd;
+
+    return {
+        rise: rise ? rise.date : null,
+        transit: hasTransit ? transit.time.date : null,
+        transitAltitude: hasTransit ? transit.hor.altitude : null,
+        set: set ? set.date : null
+    };
+}
+
+/**
+ * Get Void-of-Course Moon periods overlapping the given DAY (JST).
+ *
+ * Void starts: time of the Moon's last Ptolemaic aspect (0, 60, 90, 120, 180)
+ *              to Sun, Mercury, Venus, Mars, Jupiter, Saturn, Uranus, Neptune, Pluto.
+ * Void ends:   time of the Moon's next sign ingress.
+ *
+ * @param {Date} date
+ * @returns {Array<{ start: Date, end: Date, sign: object, lastAspect: { body: string, angle: number } }>}
+ *          `sign` is the sign the Moon enters when the void ends.
+ */
 export function getVoidTime(date) {
-    if (!window.Astronomy) return null;
-
-    // Calculate Void of Course for the given DAY.
-    // Void starts: Date of last major aspect before sign ingress.
-    // Void ends: Date of sign ingress.
-
-    // Complex logic:
-    // 1. Find Moon's current sign.
-    // 2. Find time of next sign change (Ingress).
-    // 3. Scan backwards from Ingress for last major aspect (Ptolemaic: 0, 60, 90, 120, 180) to Sun, Mercury, Venus, Mars, Jupiter, Saturn, Uranus, Neptune, Pluto.
-    // 4. Return that interval if it overlaps with 'date'.
-
-    // Simplified for MVP:
-    // Just find "Next Ingress" and show it. Users often just want to know when it enters the next sign.
-    // But specific "Void Time" is requested.
-    // Implementing robust Void calc in browser without heavy iteration is hard.
-    // 
-    // Alternative: Check if there's a Void *start* or *end* on this day.
-
-    return null; // TODO: Implement full Void logic if time permits.
+    const dayStart = jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const dayEnd = new Date(dayStart.getTime() + MS_PER_DAY);
+
+    // Each void ends at an ingress, so walk the ingresses from the start of the day
+    // until a void begins after the day is over.
+    const periods = [];
+    let cursor = dayStart;
+    while (true) {
+        const period = getVoidBeforeIngress(findNextIngress(cursor));
+        if (period.start >= dayEnd) break;
+        periods.push(period);
+        cursor = new Date(period.end.getTime() + MS_PER_MINUTE);
+    }
+    return periods;
+}
+
+function normalizeDegrees(deg) {
+    return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Moon's geocentric ecliptic longitude (true equinox of date)
+ */
+function getMoonLongitude(time) {
+    const Astronomy = getAstronomy();
+    return Astronomy.EclipticGeoMoon(time).lon;
+}
+
+/**
+ * Body's apparent geocentric ecliptic longitude (true equinox of date)
+ */
+function getBodyLongitude(body, time) {
+    const Astronomy = getAstronomy();
+    return Astronomy.Ecliptic(Astronomy.GeoVector(Astronomy.Body[body], time, true)).elon;
+}
+
+/**
+ * Time between `from` and `to` at which `angleAt` reaches `target` degrees.
+ * `angleAt` must increase steadily by less than 360° over the window.
+ * @returns {Date|null}
+ */
+function searchAngle(angleAt, target, from, to) {
+    const Astronomy = getAstronomy();
+
+    const base = angleAt(from);
+    const offset = normalizeDegrees(target - base);
+    const time = Astronomy.Search(t => normalizeDegrees(angleAt(t) - base) - offset, Astronomy.MakeTime(from), Astronomy.MakeTime(to));
+    return time ? time.date : null;
+}
+
+/**
+ * Next sign ingress of the Moon after `after`.
+ * `sign` is the index into ZODIAC_SIGNS of the sign being entered.
+ */
+function findNextIngress(after) {
+    const sign = (Math.floor(getMoonLongitude(after) / 30) + 1) % 12;
+    // The Moon never stays in one sign for more than ~2.7 days.
+    const limit = new Date(after.getTime() + 3 * MS_PER_DAY);
+    const time = searchAngle(getMoonLongitude, sign * 30, after, limit);
+    if (!time) throw new Error(`Moon ingress not found after ${after.toISOString()}`);
+    return { time, sign };
+}
+
+/**
+ * Void period ending at the given ingress
+ */
+function getVoidBeforeIngress(ingress) {
+    const key = Math.round(ingress.time.getTime() / MS_PER_MINUTE);
+    if (voidCache.has(key)) return voidCache.get(key);
+
+    const windowStart = new Date(ingress.time.getTime() - VOID_SEARCH_DAYS * MS_PER_DAY);
+    let start = windowStart;
+    let lastAspect = null;
+
+    for (const body of VOID_BODIES) {
+        const separationAt = t => getMoonLongitude(t) - getBodyLongitude(body, t);
+        const from = normalizeDegrees(separationAt(windowStart));
+        const travelled = normalizeDegrees(separationAt(ingress.time) - from);
+
+        // Separation only increases, so the last aspect is the one furthest along the window.
+        let angle = null;
+        let furthest = -1;
+        for (const separation of ASPECT_SEPARATIONS) {
+            const distance = normalizeDegrees(separation - from);
+            if (distance <= travelled && distance > furthest) {
+                furthest = distance;
+                angle = separation;
+            }
+        }
+        if (angle === null) continue;
+
+        const time = searchAngle(separationAt, angle, windowStart, ingress.time);
+        if (time && time > start) {
+            start = time;
+            lastAspect = { body, angle: angle > 180 ? 360 - angle : angle };
+        }
+    }
+
+    const period = { start, end: ingress.time, sign: ZODIAC_SIGNS[ingress.sign], lastAspect };
+    voidCache.set(key, period);
+    return period;
 }
@@ -0,0 +1,159 @@
+/**
+ * Solar Terms Module (二十四節気)
+ * Uses Astronomy Engine from AstronomyBackend.js
+ *
+ * Each term begins at the instant the Sun's apparent ecliptic longitude
+ * crosses a multiple of 15°. The JST date of that instant is the term's day,
+ * and the whole of that day belongs to the new term.
+ */
+import { jstDayNumber, jstMidnight, toDayNumber } from './DateUtil.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+// Indexed by longitude / 15 (0 = 春分 at 0°).
+// Odd indices are 節 (Setsu, month boundaries), even indices are 中気 (Chuki).
+export const SOLAR_TERMS = [
+    { name: '春分', reading: 'しゅんぶん', key: 'Shunbun' },
+    { name: '清明', reading: 'せいめい', key: 'Seimei' },
+    { name: '穀雨', reading: 'こくう', key: 'Kokuu' },
+    { name: '立夏', reading: 'りっか', key: 'Rikka' },
+    { name: '小満', reading: 'しょうまん', key: 'Shouman' },
+    { name: '芒種', reading: 'ぼうしゅ', key: 'Boushu' },
+    { name: '夏至', reading: 'げし', key: 'Geshi' },
+    { name: '小暑', reading: 'しょうしょ', key: 'Shousho' },
+    { name: '大暑', reading: 'たいしょ', key: 'Taisho' },
+    { name: '立秋', reading: 'りっしゅう', key: 'Risshu' },
+    { name: '処暑', reading: 'しょしょ', key: 'Shosho' },
+    { name: '白露', reading: 'はくろ', key: 'Hakuro' },
+    { name: '秋分', reading: 'しゅうぶん', key: 'Shuubun' },
+    { name: '寒露', reading: 'かんろ', key: 'Kanro' },
+    { name: '霜降', reading: 'そうこう', key: 'Soukou' },
+    { name: '立冬', reading: 'りっとう', key: 'Rittou' },
+    { name: '小雪', reading: 'しょうせつ', key: 'Shousetsu' },
+    { name: '大雪', reading: 'たいせつ', key: 'Taisetsu' },
+    { name: '冬至', reading: 'とうじ', key: 'Touji' },
+    { name: '小寒', reading: 'しょうかん', key: 'Shoukan' },
+    { name: '大寒', reading: 'だいかん', key: 'Daikan' },
+    { name: '立春', reading: 'りっしゅん', key: 'Risshun' },
+    { name: '雨水', reading: 'うすい', key: 'Usui' },
+    { name: '啓蟄', reading: 'けいちつ', key: 'Keichitsu' }
+];
+
+// Term index of 立春, where the sekki year and month cycle begin
+const RISSHUN = 21;
+
+// Computed terms per Gregorian year. Each year costs 24 root searches, so keep them.
+const yearCache = new Map();
+
+/**
+ * Exact instant the Sun's apparent longitude reaches `longitude` during `year`
+ * (searching from 00:00 JST on Jan 1).
+ * @param {number} year
+ * @param {number} longitude - Degrees (0-360); terms are multiples of 15, 雑節 like 土用 use others
+ * @returns {Date}
+ */
+export function getSolarTermTime(year, longitude) {
+    const Astronomy = getAstronomy();
+
+    const time = Astronomy.SearchSunLongitude(longitude, jstMidnight(year, 1, 1), 366);
+    if (!time) throw new Error(`Solar longitude ${longitude}° not found in ${year}`);
+    return time.date;
+}
+
+/**
+ * All 24 solar terms that begin in the given year, in chronological order.
+ * @param {number} year
+ * @returns {Array<{index: number, name: string, reading: string, key: string, longitude: number, isSetsu: boolean, time: Date, dayNumber: number}>}
+ */
+export function getSolarTermsForYear(year) {
+    if (yearCache.has(year)) return yearCache.get(year);
+
+    const terms = SOLAR_TERMS.map((term, index) => {
+        const longitude = index * 15;
+        const time = getSolarTermTime(year, longitude);
+        return {
+            ...term,
+            index,
+            longitude,
+            isSetsu: index % 2 === 1,
+            time,
+            dayNumber: jstDayNumber(time)
+        };
+    }).sort((a, b) => a.time - b.time);
+
+    yearCache.set(year, terms);
+    return terms;
+}
+
+/**
+ * Most recent term (optionally only 節) starting on or before the day.
+ */
+function findTermOnOrBefore(date, setsuOnly = false) {
+    const dayNumber = toDayNumber(date);
+    const year = date.getFullYear();
+    // The previous year's 冬至/小寒 still govern early January.
+    const terms = [...getSolarTermsForYear(year - 1), ...getSolarTermsForYear(year)];
+
+    let found = null;
+    for (const term of terms) {
+        if (term.dayNumber > dayNumber) break;
+        if (!setsuOnly || term.isSetsu) found = term;
+    }
+    return found;
+}
+
+/**
+ * Solar term that begins on this day, or null
+ * @param {Date} date
+ */
+export function getSolarTerm(date) {
+    const dayNumber = toDayNumber(date);
+    return getSolarTermsForYear(date.getFullYear()).find(t => t.dayNumber === dayNumber) || null;
+}
+
+/**
+ * Solar term in effect on this day (the last one starting on or before it)
+ * @param {Date} date
+ */
+export function getCurrentSolarTerm(date) {
+    return findTermOnOrBefore(date);
+}
+
+/**
+ * Sekki month (節月) containing the day.
+ * Month 1 is 寅月 starting at 立春, month 12 is 丑月 starting at 小寒.
+ * @param {Date} date
+ * @returns {{ month: number, branchIndex: number, setsu: object }}
+ */
+export function getSekkiMonth(date) {
+    const setsu = findTermOnOrBefore(date, true);
+    const offset = ((setsu.index - RISSHUN) / 2 + 12) % 12; // 0 = 寅月
+    return {
+        month: offset + 1,
+        branchIndex: (offset + 2) % 12,
+        setsu
+    };
+}
+
+/**
+ * Sekki year (節年) containing the day: the Gregorian year, minus one before that year's 立春.
+ * Year stars and year Eto change at 立春, not on January 1.
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getSekkiYear(date) {
+    const year = date.getFullYear();
+    const risshun = getSolarTermsForYear(year).find(t => t.index === RISSHUN);
+    return toDayNumber(date) < risshun.dayNumber ? year - 1 : year;
+}
+
+/**
+ * Season by the four season starts (立春・立夏・立秋・立冬)
+ * @param {Date} date
+ * @returns {'spring'|'summer'|'autumn'|'winter'}
+ */
+export function getSeason(date) {
+    const { setsu } = getSekkiMonth(date);
+    // Setsu indices run 立春(21) 啓蟄(23) 清明(1) 立夏(3) ... so rotate to 立春 = 0.
+    const step = ((setsu.index - RISSHUN + 24) % 24) / 2;
+    return ['spring', 'summer', 'autumn', 'winter'][Math.floor(step / 3)];
+}
@@ -0,0 +1,58 @@
+/**
+ * Sun Data Module
+ * Uses Astronomy Engine from AstronomyBackend.js
+ */
+import { MS_PER_MINUTE, jstMidnight } from './DateUtil.js';
+import { DEFAULT_LOCATION } from './Location.js';
+import { getAstronomy } from './AstronomyBackend.js';
+
+// Sun altitude at the end of each twilight
+const TWILIGHT_ALTITUDES = {
+    civil: -6,
+    nautical: -12,
+    astronomical: -18
+};
+
+/**
+ * Sunrise, sunset, solar noon, twilight and day length on the given DAY (JST) at a location.
+ * Events that do not happen that day (e.g. no astronomical night near midsummer
+ * at high latitudes) are null.
+ *
+ * @param {Date} date
+ * @param {{ latitude: number, longitude: number }} [location] - Defaults to Tokyo
+ * @returns {{
+ *   sunrise: Date|null, sunset: Date|null, solarNoon: Date, solarNoonAltitude: number,
+ *   civilDawn: Date|null, civilDusk: Date|null,
+ *   nauticalDawn: Date|null, nauticalDusk: Date|null,
+ *   astronomicalDawn: Date|null, astronomicalDusk: Date|null,
+ *   dayLength: number|null
+ * }} dayLength is in minutes
+ */
+export function getSunTimes(date, location = DEFAULT_LOCATION) {
+    const Astronomy = getAstronomy();
+
+    const observer = new Astronomy.Observer(location.latitude, location.longitude, 0);
+    const dayStart = jstMidnight(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    const toDate = time => time ? time.date : null;
+
+    const sunrise = toDate(Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, +1, dayStart, 1));
+    const sunset = toDate(Astronomy.SearchRiseSet(Astronomy.Body.Sun, observer, -1, dayStart, 1));
+    const noon = Astronomy.SearchHourAngle(Astronomy.Body.Sun, observer, 0, dayStart);
+
+    const twilight = {};
+    for (const [kind, altitude] of Object.entries(TWILIGHT_ALTITUDES)) {
+        twilight[`${kind}Dawn`] = toDate(Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, +1, dayStart, 1, altitude));
+        twilight[`${kind}Dusk`] = toDate(Astronomy.SearchAltitude(Astronomy.Body.Sun, observer, -1, dayStart, 1, altitude));
+    }
+
+    return {
+        sunrise,
+        sunset,
+        solarNoon: noon.time.date,
+        solarNoonAltitude: noon.hor.altitude,
+        ...twilight,
+        dayLength: sunrise && sunset && sunset > sunrise
+            ? Math.round((sunset - sunrise) / MS_PER_MINUTE)
+            : null
+    };
+}
@@ -0,0 +1,127 @@
+/**
+ * Wareki Module (和暦)
+ * Japanese era names for Gregorian dates, and parsing of era-style input.
+ * An era begins on the day of its 改元; the previous era ends the day before
+ * (平成31年4月30日 → 令和元年5月1日). Dates before 1873 are proleptic Gregorian.
+ * 明治 was declared retroactive to 慶応4年1月1日 of the old calendar, but that day
+ * has no Gregorian 明治 date here: 明治 starts at its 改元 on 1868-10-23.
+ */
+
+// In chronological order
+export const ERAS = [
+    { name: '明治', abbr: 'M', start: new Date(1868, 9, 23) },
+    { name: '大正', abbr: 'T', start: new Date(1912, 6, 30) },
+    { name: '昭和', abbr: 'S', start: new Date(1926, 11, 25) },
+    { name: '平成', abbr: 'H', start: new Date(1989, 0, 8) },
+    { name: '令和', abbr: 'R', start: new Date(2019, 4, 1) }
+];
+
+const ERA_PATTERN = /^(明治|大正|昭和|平成|令和|[MTSHR])(元|\d{1,2})(?:年|[./-])?(?:(\d{1,2})(?:月|[./-])?(?:(\d{1,2})日?)?)?$/;
+const GREGORIAN_PATTERN = /^(\d{4})(?:年|[./-])?(?:(\d{1,2})(?:月|[./-])?(?:(\d{1,2})日?)?)?$/;
+
+/**
+ * Era and era year of the given day
+ * @param {Date} date
+ * @returns {{ era: object, year: number, month: number, day: number }|null} null before 明治
+ */
+export function getWareki(date) {
+    const era = findEra(date);
+    if (!era) return null;
+    return {
+        era,
+        year: date.getFullYear() - era.start.getFullYear() + 1,
+        month: date.getMonth() + 1,
+        day: date.getDate()
+    };
+}
+
+/**
+ * Format a day as "令和8年10月19日" (the first year is 元年)
+ * @param {Date} date
+ * @returns {string} Empty before 明治
+ */
+export function formatWareki(date) {
+    const wareki = getWareki(date);
+    if (!wareki) return '';
+    return `${formatEraYear(wareki.era, wareki.year)}${wareki.month}月${wareki.day}日`;
+}
+
+/**
+ * Format a month as "令和8年10月". A month in which an era begins part-way
+ * shows both: "昭和64年・平成元年1月".
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {string} Empty before 明治
+ */
+export function formatWarekiMonth(year, month) {
+    const first = new Date(year, month - 1, 1);
+    const last = new Date(year, month, 0);
+    const eraYears = [getWareki(first), getWareki(last)]
+        .filter(Boolean)
+        .map(w => formatEraYear(w.era, w.year));
+    if (eraYears.length === 0) return '';
+    return `${[...new Set(eraYears)].join('・')}${month}月`;
+}
+
+/**
+ * Parse a date typed by a user. Accepts era forms ("R8.10.19", "令和8年10月19日",
+ * "H31/4/30", "令和元年", "R8") and Gregorian forms ("2026-10-19", "2026年10月").
+ * Full-width characters are allowed. A missing month or day means the first day
+ * of that period, but never before the era began ("令和元年" → 2019-05-01).
+ * Days before the era's 改元 are rejected, including 明治元年 before 10月23日.
+ *
+ * @param {string} input
+ * @returns {Date} Local midnight
+ * @throws {RangeError} When the input is not a date, or the date is outside the era
+ */
+export function parseWareki(input) {
+    const text = String(input).normalize('NFKC').replace(/\s+/g, '').toUpperCase();
+
+    let era = null;
+    let year, month, day;
+    const eraMatch = text.match(ERA_PATTERN);
+    const gregorianMatch = text.match(GREGORIAN_PATTERN);
+    if (eraMatch) {
+        era = ERAS.find(e => e.name === eraMatch[1] || e.abbr === eraMatch[1]);
+        const eraYear = eraMatch[2] === '元' ? 1 : Number(eraMatch[2]);
+        if (eraYear < 1) throw new RangeError(`Invalid era year: ${input}`);
+        year = era.start.getFullYear() + eraYear - 1;
+        [month, day] = [eraMatch[3], eraMatch[4]].map(v => v === undefined ? undefined : Number(v));
+    } else if (gregorianMatch) {
+        [year, month, day] = gregorianMatch.slice(1).map(v => v === undefined ? undefined : Number(v));
+    } else {
+        throw new RangeError(`Unrecognized date: ${input}`);
+    }
+
+    if (month !== undefined && (month < 1 || month > 12)) throw new RangeError(`Invalid month: ${input}`);
+    const date = new Date(year, (month ?? 1) - 1, day ?? 1);
+    if (day !== undefined && date.getDate() !== day) throw new RangeError(`Invalid day: ${input}`);
+
+    if (era) {
+        const next = ERAS[ERAS.indexOf(era) + 1];
+        // Without a day, the period may start before the era (平成元年1月 → 1月8日)
+        if (day === undefined && date < era.start && (month === undefined || era.start.getMonth() === month - 1)) {
+            return new Date(era.start);
+        }
+        if (date < era.start) {
+            const start = era.start;
+            throw new RangeError(`${era.name} begins on ${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}: ${input}`);
+        }
+        if (next && date >= next.start) {
+            throw new RangeError(`Date outside ${era.name}: ${input}`);
+        }
+    }
+    return date;
+}
+
+/**
+ * Latest era that began on or before the day
+ */
+function findEra(date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    return [...ERAS].reverse().find(e => e.start <= day) || null;
+}
+
+function formatEraYear(era, year) {
+    return `${era.name}${year === 1 ? '元' : year}年`;
+}
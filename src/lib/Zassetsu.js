@@ -0,0 +1,91 @@
+/**
+ * Zassetsu Module (雑節)
+ * Seasonal markers of the Japanese almanac, derived from the solar terms.
+ * Uses Astronomy Engine from AstronomyBackend.js
+ *
+ * 土用 is a 雑節 as well, but spans days and lives with the 選日 periods
+ * (getSenjitsuPeriods in JapaneseCalendar.js).
+ */
+import { getSolarTermsForYear, getSolarTermTime } from './SolarTerms.js';
+import { getEto } from './JapaneseCalendar.js';
+import { JST_OFFSET_MS, MS_PER_DAY, jstDayNumber, fromDayNumber, toDayNumber } from './DateUtil.js';
+
+// Stem index of 戊, the day of 社日
+const TSUCHINOE = 4;
+
+// Computed markers per Gregorian year
+const yearCache = new Map();
+
+/**
+ * All Zassetsu falling in the given year, in date order.
+ * - 節分: the day before 立春
+ * - 彼岸: 入り/中日/明け, 3 days either side of 春分/秋分
+ * - 社日: the 戊 day nearest 春分/秋分
+ * - 八十八夜, 二百十日, 二百二十日: counted from 立春 as day 1
+ * - 入梅, 半夏生: the Sun at 80° and 100°
+ * @param {number} year
+ * @returns {Array<{ type: string, label: string, date: Date }>}
+ */
+export function getZassetsuForYear(year) {
+    if (yearCache.has(year)) return yearCache.get(year);
+
+    const terms = getSolarTermsForYear(year);
+    const termAt = longitude => terms.find(t => t.longitude === longitude);
+    const risshun = termAt(315).dayNumber;
+    const shunbun = termAt(0);
+    const shuubun = termAt(180);
+
+    const markers = [
+        { type: 'setsubun', label: '節分', dayNumber: risshun - 1 },
+        ...getHigan(shunbun.dayNumber, '春'),
+        { type: 'shanichi', label: '春の社日', dayNumber: getShanichi(shunbun) },
+        { type: 'hachijuhachiya', label: '八十八夜', dayNumber: risshun + 87 },
+        { type: 'nyubai', label: '入梅', dayNumber: jstDayNumber(getSolarTermTime(year, 80)) },
+        { type: 'hangesho', label: '半夏生', dayNumber: jstDayNumber(getSolarTermTime(year, 100)) },
+        { type: 'nihyakutoka', label: '二百十日', dayNumber: risshun + 209 },
+        { type: 'nihyakuhatsuka', label: '二百二十日', dayNumber: risshun + 219 },
+        ...getHigan(shuubun.dayNumber, '秋'),
+        { type: 'shanichi', label: '秋の社日', dayNumber: getShanichi(shuubun) }
+    ]
+        .sort((a, b) => a.dayNumber - b.dayNumber)
+        .map(({ type, label, dayNumber }) => ({ type, label, date: fromDayNumber(dayNumber) }));
+
+    yearCache.set(year, markers);
+    return markers;
+}
+
+/**
+ * Zassetsu on the given day
+ * @param {Date} date
+ * @returns {Array<{ type: string, label: string, date: Date }>}
+ */
+export function getZassetsu(date) {
+    const dayNumber = toDayNumber(date);
+    return getZassetsuForYear(date.getFullYear()).filter(z => toDayNumber(z.date) === dayNumber);
+}
+
+/**
+ * 彼岸入り, 中日 (the equinox day) and 彼岸明け
+ */
+function getHigan(equinoxDay, season) {
+    return [
+        { type: 'higan', label: `${season}の彼岸入り`, dayNumber: equinoxDay - 3 },
+        { type: 'higan', label: `${season}の彼岸中日`, dayNumber: equinoxDay },
+        { type: 'higan', label: `${season}の彼岸明け`, dayNumber: equinoxDay + 3 }
+    ];
+}
+
+/**
+ * The 戊 day nearest the equinox. When the equinox falls on a 癸 day, five days
+ * from either 戊, the earlier one is used if the equinox is before noon (JST).
+ */
+function getShanichi(equinox) {
+    const stemIndex = getEto(fromDayNumber(equinox.dayNumber)).stemIndex;
+    const sinceTsuchinoe = (stemIndex - TSUCHINOE + 10) % 10;
+
+    if (sinceTsuchinoe < 5) return equinox.dayNumber - sinceTsuchinoe;
+    if (sinceTsuchinoe > 5) return equinox.dayNumber + (10 - sinceTsuchinoe);
+
+    const jstMs = (equinox.time.getTime() + JST_OFFSET_MS) % MS_PER_DAY;
+    return jstMs < MS_PER_DAY / 2 ? equinox.dayNumber - 5 : equinox.dayNumber + 5;
+}
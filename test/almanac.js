@@ -0,0 +1,261 @@
+/**
+ * Reference almanac
+ * An implementation of the calendar rules that shares no code with src/lib/ and does
+ * not use Astronomy Engine, so the tests can check the app against it across decades.
+ *
+ *   Day 干支:      Julian Day Number, (JDN + 49) mod 60 = cycle index (0 = 甲子)
+ *   Moon phases:   Meeus, Astronomical Algorithms (2nd ed.), chapter 49
+ *   Solar terms:   Meeus chapter 25, low-accuracy apparent solar longitude (about 0.01°)
+ *   ΔT:            Espenak & Meeus polynomials (NASA Five Millennium Canon)
+ *   Lucky days:    The traditional 暦注 tables, entered independently of JapaneseCalendar.js
+ *
+ * Accuracy: phase times are within about a minute of the ELP-based values NAOJ publishes.
+ * Solar-term times are within about 15 minutes, so a day next to a term that falls close
+ * to JST midnight is reported as ambiguous rather than guessed.
+ */
+
+const STEMS = '甲乙丙丁戊己庚辛壬癸';
+const BRANCHES = '子丑寅卯辰巳午未申酉戌亥';
+const JST_OFFSET_DAYS = 9 / 24;
+const DEG = Math.PI / 180;
+
+// 天赦日: season (from 立春/立夏/立秋/立冬) → day 干支
+const TENSHA = { spring: '戊寅', summer: '甲午', autumn: '戊申', winter: '甲子' };
+
+// 一粒万倍日: 節月, numbered from 正月 (立春) as in printed almanacs → day branches
+const ICHIRYUMANBAI = {
+    1: '丑午', 2: '寅酉', 3: '子卯', 4: '卯辰', 5: '巳午', 6: '酉午',
+    7: '子未', 8: '卯申', 9: '酉午', 10: '酉戌', 11: '亥子', 12: '卯子'
+};
+
+// Solar longitude of the 節 that opens each 節月 (正月 = 立春 at 315°)
+const SETSU_LONGITUDES = [315, 345, 15, 45, 75, 105, 135, 165, 195, 225, 255, 285];
+
+// Maximum error of solarTermTime, in days
+const SOLAR_TERM_TOLERANCE = 20 / 1440;
+
+/**
+ * Julian Day Number of a Gregorian date (Fliegel & Van Flandern)
+ */
+export function julianDayNumber(year, month, day) {
+    const a = Math.floor((14 - month) / 12);
+    const y = year + 4800 - a;
+    const m = month + 12 * a - 3;
+    return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+}
+
+/**
+ * Day 干支 of a Gregorian date, e.g. '甲子'
+ */
+export function dayEto(year, month, day) {
+    const cycle = (julianDayNumber(year, month, day) + 49) % 60;
+    return STEMS[cycle % 10] + BRANCHES[cycle % 12];
+}
+
+/**
+ * ΔT = TT - UT in seconds (Espenak & Meeus), valid 1920-2150
+ */
+export function deltaT(year) {
+    if (year < 1941) {
+        const t = year - 1920;
+        return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+    }
+    if (year < 1961) {
+        const t = year - 1950;
+        return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+    }
+    if (year < 1986) {
+        const t = year - 1975;
+        return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+    }
+    if (year < 2005) {
+        const t = year - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (year < 2050) {
+        const t = year - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+    }
+    return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+/**
+ * Julian Ephemeris Day (TT) of a Meeus lunation number k: integer k for 新月,
+ * +0.25 上弦, +0.5 満月, +0.75 下弦 (k = 0 is the new moon of 2000-01-06)
+ */
+export function moonPhaseJde(k) {
+    const quarter = Math.round((k - Math.floor(k)) * 4) % 4;
+    const T = k / 1236.85;
+    let jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T ** 2 - 0.000000150 * T ** 3 + 0.00000000073 * T ** 4;
+
+    const E = 1 - 0.002516 * T - 0.0000074 * T ** 2;
+    const M = (2.5534 + 29.10535670 * k - 0.0000014 * T ** 2 - 0.00000011 * T ** 3) * DEG;
+    const Mp = (201.5643 + 385.81693528 * k + 0.0107582 * T ** 2 + 0.00001238 * T ** 3 - 0.000000058 * T ** 4) * DEG;
+    const F = (160.7108 + 390.67050284 * k - 0.0016118 * T ** 2 - 0.00000227 * T ** 3 + 0.000000011 * T ** 4) * DEG;
+    const Om = (124.7746 - 1.56375588 * k + 0.0020672 * T ** 2 + 0.00000215 * T ** 3) * DEG;
+    const sin = Math.sin;
+
+    if (quarter === 0 || quarter === 2) {
+        const [a, b, c, d, e, f] = quarter === 0
+            ? [-0.40720, 0.17241, 0.01608, 0.01039, 0.00739, -0.00514]
+            : [-0.40614, 0.17302, 0.01614, 0.01043, 0.00734, -0.00515];
+        jde += a * sin(Mp) + b * E * sin(M) + c * sin(2 * Mp) + d * sin(2 * F)
+            + e * E * sin(Mp - M) + f * E * sin(Mp + M)
+            + (quarter === 0 ? 0.00208 : 0.00209) * E * E * sin(2 * M)
+            - 0.00111 * sin(Mp - 2 * F) - 0.00057 * sin(Mp + 2 * F)
+            + 0.00056 * E * sin(2 * Mp + M) - 0.00042 * sin(3 * Mp)
+            + 0.00042 * E * sin(M + 2 * F) + 0.00038 * E * sin(M - 2 * F)
+            - 0.00024 * E * sin(2 * Mp - M) - 0.00017 * sin(Om)
+            - 0.00007 * sin(Mp + 2 * M) + 0.00004 * sin(2 * Mp - 2 * F)
+            + 0.00004 * sin(3 * M) + 0.00003 * sin(Mp + M - 2 * F)
+            + 0.00003 * sin(2 * Mp + 2 * F) - 0.00003 * sin(Mp + M + 2 * F)
+            + 0.00003 * sin(Mp - M + 2 * F) - 0.00002 * sin(Mp - M - 2 * F)
+            - 0.00002 * sin(3 * Mp + M) + 0.00002 * sin(4 * Mp);
+    } else {
+        jde += -0.62801 * sin(Mp) + 0.17172 * E * sin(M) - 0.01183 * E * sin(Mp + M)
+            + 0.00862 * sin(2 * Mp) + 0.00804 * sin(2 * F) + 0.00454 * E * sin(Mp - M)
+            + 0.00204 * E * E * sin(2 * M) - 0.00180 * sin(Mp - 2 * F) - 0.00070 * sin(Mp + 2 * F)
+            - 0.00040 * sin(3 * Mp) - 0.00034 * E * sin(2 * Mp - M)
+            + 0.00032 * E * sin(M + 2 * F) + 0.00032 * E * sin(M - 2 * F)
+            - 0.00028 * E * E * sin(Mp + 2 * M) + 0.00027 * E * sin(2 * Mp + M)
+            - 0.00017 * sin(Om) - 0.00005 * sin(Mp - M - 2 * F)
+            + 0.00004 * sin(2 * Mp + 2 * F) - 0.00004 * sin(Mp + M + 2 * F)
+            + 0.00004 * sin(Mp - 2 * M) + 0.00003 * sin(Mp + M - 2 * F)
+            + 0.00003 * sin(3 * M) + 0.00002 * sin(2 * Mp - 2 * F)
+            + 0.00002 * sin(Mp - M + 2 * F) - 0.00002 * sin(3 * Mp + M);
+        const W = 0.00306 - 0.00038 * E * Math.cos(M) + 0.00026 * Math.cos(Mp)
+            - 0.00002 * Math.cos(Mp - M) + 0.00002 * Math.cos(Mp + M) + 0.00002 * Math.cos(2 * F);
+        jde += quarter === 1 ? W : -W;
+    }
+
+    // Planetary arguments, common to all phases
+    const planetary = [
+        [299.77, 0.107408, 0.000325], [251.88, 0.016321, 0.000165], [251.83, 26.651886, 0.000164],
+        [349.42, 36.412478, 0.000126], [84.66, 18.206239, 0.000110], [141.74, 53.303771, 0.000062],
+        [207.14, 2.453732, 0.000060], [154.84, 7.306860, 0.000056], [34.52, 27.261239, 0.000047],
+        [207.19, 0.121824, 0.000042], [291.34, 1.844379, 0.000040], [161.72, 24.198154, 0.000037],
+        [239.56, 25.513099, 0.000035], [331.55, 3.592518, 0.000023]
+    ];
+    planetary.forEach(([base, rate, coefficient], i) => {
+        const angle = base + rate * k - (i === 0 ? 0.009173 * T ** 2 : 0);
+        jde += coefficient * sin(angle * DEG);
+    });
+    return jde;
+}
+
+/**
+ * Moon phase events whose JST date falls in the given Gregorian year
+ * @returns {Array<{ quarter: number, time: Date }>} UT instants, in time order
+ */
+export function moonPhases(year) {
+    const events = [];
+    const firstK = Math.floor((year - 2000) * 12.3685) - 2;
+    for (let k = firstK; k < firstK + 16; k++) {
+        for (let quarter = 0; quarter < 4; quarter++) {
+            const time = jdeToDate(moonPhaseJde(k + quarter / 4));
+            if (jstParts(time).year === year) events.push({ quarter, time });
+        }
+    }
+    return events;
+}
+
+/**
+ * Apparent geocentric solar longitude in degrees (Meeus 25, low accuracy)
+ */
+export function solarLongitude(jde) {
+    const T = (jde - 2451545.0) / 36525;
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T ** 2;
+    const M = (357.52911 + 35999.05029 * T - 0.0001537 * T ** 2) * DEG;
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T ** 2) * Math.sin(M)
+        + (0.019993 - 0.000101 * T) * Math.sin(2 * M)
+        + 0.000289 * Math.sin(3 * M);
+    const omega = (125.04 - 1934.136 * T) * DEG;
+    const apparent = L0 + C - 0.00569 - 0.00478 * Math.sin(omega);
+    return ((apparent % 360) + 360) % 360;
+}
+
+/**
+ * Instant the Sun reaches `longitude` during the Gregorian year
+ * @returns {Date}
+ */
+export function solarTermTime(year, longitude) {
+    // Mean position is enough to start; the Sun moves about 0.9856°/day
+    const start = julianDayNumber(year, 1, 1) - 0.5 + deltaT(year) / 86400;
+    let jde = start + ((longitude - solarLongitude(start) + 360) % 360) / 0.9856;
+    for (let i = 0; i < 10; i++) {
+        const diff = ((longitude - solarLongitude(jde) + 540) % 360) - 180;
+        jde += diff / 0.9856;
+        if (Math.abs(diff) < 1e-7) break;
+    }
+    return jdeToDate(jde);
+}
+
+/**
+ * Lucky days on a Gregorian date by the traditional rules
+ * @returns {string[]|null} getLuckyDays types, or null when a solar-term boundary
+ *   is too close to JST midnight for this almanac to place the day with certainty
+ */
+export function luckyDays(year, month, day) {
+    const early = luckyDaysWithTerms(year, month, day, -SOLAR_TERM_TOLERANCE);
+    const late = luckyDaysWithTerms(year, month, day, SOLAR_TERM_TOLERANCE);
+    return early.join() === late.join() ? early : null;
+}
+
+function luckyDaysWithTerms(year, month, day, shiftDays) {
+    const eto = dayEto(year, month, day);
+    const dayNumber = julianDayNumber(year, month, day);
+    const sekkiMonth = getSekkiMonth(year, dayNumber, shiftDays);
+    const season = ['spring', 'summer', 'autumn', 'winter'][Math.floor((sekkiMonth - 1) / 3)];
+
+    const types = [];
+    if (TENSHA[season] === eto) types.push('tensha');
+    if (ICHIRYUMANBAI[sekkiMonth].includes(eto[1])) types.push('ichiryumanbai');
+    if (eto[1] === '寅') types.push('tora');
+    if (eto[1] === '巳') types.push('mi');
+    if (eto === '己巳') types.push('super-mi');
+    return types;
+}
+
+/**
+ * 節月 (1 = 正月 from 立春) of a day: the latest 節 whose JST date is on or before it
+ */
+function getSekkiMonth(year, dayNumber, shiftDays) {
+    let best = null;
+    for (const y of [year - 1, year]) {
+        SETSU_LONGITUDES.forEach((longitude, i) => {
+            const time = solarTermTime(y, longitude);
+            const termDay = jstDayNumber(new Date(time.getTime() + shiftDays * 86400000));
+            if (termDay <= dayNumber && (!best || termDay > best.termDay)) best = { termDay, month: i + 1 };
+        });
+    }
+    return best.month;
+}
+
+/**
+ * JDE (TT) to a UT Date
+ */
+function jdeToDate(jde) {
+    const approxYear = 2000 + (jde - 2451545.0) / 365.25;
+    return new Date((jde - 2440587.5) * 86400000 - deltaT(approxYear) * 1000);
+}
+
+/**
+ * Julian Day Number of the JST date on which an instant falls
+ */
+function jstDayNumber(instant) {
+    return Math.floor(instant.getTime() / 86400000 + JST_OFFSET_DAYS) + 2440588;
+}
+
+/**
+ * JST calendar fields of an instant
+ */
+export function jstParts(instant) {
+    const shifted = new Date(instant.getTime() + JST_OFFSET_DAYS * 86400000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes()
+    };
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEtoCondition, searchDays } from '../src/lib/DaySearch.js';
+import { toDayNumber } from '../src/lib/DateUtil.js';
+import './helpers.js';
+
+test('parseEtoCondition reads a stem, a branch or one of the 60 pairs', () => {
+    assert.deepEqual(parseEtoCondition(''), {});
+    assert.deepEqual(parseEtoCondition(' 己 '), { stem: '己' });
+    assert.deepEqual(parseEtoCondition('巳'), { branch: '巳' });
+    assert.deepEqual(parseEtoCondition('己巳'), { eto: '己巳' });
+});
+
+test('parseEtoCondition rejects anything else', () => {
+    for (const text of ['x', '甲甲', '巳己', '甲丑', '己巳日']) {
+        assert.throws(() => parseEtoCondition(text), RangeError, text);
+    }
+});
+
+test('searchDays rejects an invalid Eto instead of scanning for nothing', () => {
+    assert.throws(() => searchDays({ branch: 'x' }), RangeError);
+    assert.throws(() => searchDays({ eto: '甲丑' }), RangeError);
+});
+
+test('searchDays rejects unknown lucky, rokuyo, moon phase and weekday values', () => {
+    for (const conditions of [
+        { lucky: 'tensha' },
+        { lucky: ['tensya'] },
+        { rokuyo: ['大安'] },
+        { moonPhase: ['fullmoon'] },
+        { weekdays: [7] }
+    ]) {
+        assert.throws(() => searchDays(conditions), RangeError, JSON.stringify(conditions));
+    }
+});
+
+test('searchDays finds 己巳の日 every 60 days', () => {
+    const found = searchDays({ eto: '己巳' }, { from: new Date(2026, 0, 1), limit: 3 });
+    assert.deepEqual(found.map(r => toDayNumber(r.date) - toDayNumber(found[0].date)), [0, 60, 120]);
+    assert.ok(found.every(r => r.lucky.some(l => l.type === 'super-mi')));
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEto } from '../src/lib/JapaneseCalendar.js';
+import { TIMEZONES, loadGolden, withTimezone, daysOfYear, formatMonthDay } from './helpers.js';
+
+const STEMS = '甲乙丙丁戊己庚辛壬癸';
+const BRANCHES = '子丑寅卯辰巳午未申酉戌亥';
+const { jan1 } = loadGolden('eto.json');
+
+/**
+ * 干支 `offset` days after the given one
+ */
+function advance(eto, offset) {
+    const stem = STEMS.indexOf(eto[0]);
+    const branch = BRANCHES.indexOf(eto[1]);
+    return STEMS[(stem + offset) % 10] + BRANCHES[(branch + offset) % 12];
+}
+
+test('January 1st matches the golden table, 1900-2100', () => {
+    for (const [year, eto] of Object.entries(jan1)) {
+        assert.equal(getEto(new Date(Number(year), 0, 1)).etoString, eto, `${year}-01-01`);
+    }
+});
+
+test('known anchors', () => {
+    assert.equal(getEto(new Date(2024, 0, 1)).cycleIndex, 0);
+    assert.equal(getEto(new Date(2025, 11, 1)).etoString, '甲辰');
+    assert.equal(getEto(new Date(1969, 11, 31)).etoString, '庚辰');
+    assert.equal(getEto(new Date(1970, 0, 1)).etoString, '辛巳');
+});
+
+for (const timeZone of TIMEZONES) {
+    test(`every day advances by one, 1900-2100 (${timeZone})`, () => {
+        withTimezone(timeZone, () => {
+            for (const [year, eto] of Object.entries(jan1)) {
+                // Late evening as well as midnight: the time of day must not matter
+                for (const hour of [0, 23]) {
+                    let offset = 0;
+                    for (const date of daysOfYear(Number(year), hour)) {
+                        assert.equal(getEto(date).etoString, advance(eto, offset++), `${year}-${formatMonthDay(date)} ${hour}:00`);
+                    }
+                }
+            }
+        });
+    });
+}
+
+test('leap days and century years', () => {
+    const pairs = [
+        [new Date(1900, 1, 28), new Date(1900, 2, 1)],
+        [new Date(2000, 1, 28), new Date(2000, 1, 29)],
+        [new Date(2000, 1, 29), new Date(2000, 2, 1)],
+        [new Date(2024, 1, 29), new Date(2024, 2, 1)],
+        [new Date(2100, 1, 28), new Date(2100, 2, 1)]
+    ];
+    for (const [day, next] of pairs) {
+        assert.equal(advance(getEto(day).etoString, 1), getEto(next).etoString, `${day.getFullYear()}-${formatMonthDay(day)}`);
+    }
+});
+
+test('days around DST changes keep their 干支', () => {
+    // Japan's summer time (1949-04-03 started at midnight), US and Brazil switches
+    const cases = [
+        ['Asia/Tokyo', [1949, 3, 3], '癸亥'],
+        ['America/New_York', [2024, 2, 11], '甲戌'],
+        ['America/Sao_Paulo', [2018, 10, 4], '庚子']
+    ];
+    for (const [timeZone, [year, month, day], expected] of cases) {
+        withTimezone(timeZone, () => {
+            assert.equal(getEto(new Date(year, month, day)).etoString, expected, `${timeZone} ${year}-${month + 1}-${day}`);
+        });
+    }
+});
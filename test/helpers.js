@@ -0,0 +1,78 @@
+/**
+ * Test helpers
+ * Installs Astronomy Engine for the calendar modules and loads the reference tables.
+ * Everything runs offline against the pinned astronomy-engine.
+ *
+ *   test/golden/     Reference data computed independently of the code under test,
+ *                    and published values (published.json)
+ *   test/almanac.js  Independent reimplementation (Meeus, traditional 暦注 tables) that
+ *                    the tests compare the app with across 1950-2050
+ *   test/snapshots/  Earlier output of the code itself. A secondary guard that only
+ *                    catches changes in behaviour.
+ *
+ * Each JSON file's "source" field says where it came from.
+ */
+import { readFileSync } from 'node:fs';
+import * as Astronomy from 'astronomy-engine';
+import { setAstronomy } from '../src/lib/AstronomyBackend.js';
+
+setAstronomy(Astronomy);
+
+// Japan (with its 1948-1951 summer time), plus zones whose DST starts at
+// midnight (São Paulo), moves by 30 minutes (Lord Howe) or sits west of UTC
+export const TIMEZONES = ['Asia/Tokyo', 'America/New_York', 'Europe/London', 'America/Sao_Paulo', 'Australia/Lord_Howe'];
+
+/**
+ * Parsed golden table from test/golden/
+ * @param {string} name - File name, e.g. 'eto.json'
+ * @returns {object}
+ */
+export function loadGolden(name) {
+    return JSON.parse(readFileSync(new URL(`golden/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Parsed snapshot from test/snapshots/
+ * @param {string} name - File name, e.g. 'moon-phases.json'
+ * @returns {object}
+ */
+export function loadSnapshot(name) {
+    return JSON.parse(readFileSync(new URL(`snapshots/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Run `fn` with the process timezone set to `timeZone`, then restore it
+ * @param {string} timeZone - IANA zone name
+ * @param {() => void} fn
+ */
+export function withTimezone(timeZone, fn) {
+    const saved = process.env.TZ;
+    process.env.TZ = timeZone;
+    try {
+        fn();
+    } finally {
+        if (saved === undefined) delete process.env.TZ;
+        else process.env.TZ = saved;
+    }
+}
+
+/**
+ * Local calendar days of a Gregorian year, at the given hour
+ * @param {number} year
+ * @param {number} [hour]
+ * @returns {Generator<Date>}
+ */
+export function* daysOfYear(year, hour = 0) {
+    for (let day = 1; new Date(year, 0, day).getFullYear() === year; day++) {
+        yield new Date(year, 0, day, hour);
+    }
+}
+
+/**
+ * MM-DD of a local calendar date, as used by the reference tables
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatMonthDay(date) {
+    return `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLuckyDays, getEto } from '../src/lib/JapaneseCalendar.js';
+import { daysOfYear, formatMonthDay } from './helpers.js';
+import { dayEto, luckyDays } from './almanac.js';
+
+// January-November 2025 as corrected by the sekki-month rule, with each day's 干支.
+// Source: the 一粒万倍日 table printed in 暦 (節月 → two day branches, the row named
+// above each group), applied from the 節 dates in the NAOJ 暦要項 for 2025. The
+// reference almanac in test/almanac.js applies that table independently.
+const CORRECTED_2025 = {
+    // 丑月 from 小寒 (01-05): 子 and 卯 days
+    '01-07': '丙子', '01-10': '己卯', '01-19': '戊子', '01-22': '辛卯', '01-31': '庚子',
+    // 寅月 from 立春 (02-03): 丑 and 午 days
+    '02-06': '丙午', '02-13': '癸丑', '02-18': '戊午', '02-25': '乙丑', '03-02': '庚午',
+    // 卯月 from 啓蟄 (03-05): 寅 and 酉 days
+    '03-05': '癸酉', '03-10': '戊寅', '03-17': '乙酉', '03-22': '庚寅', '03-29': '丁酉', '04-03': '壬寅',
+    // 辰月 from 清明 (04-04): 子 and 卯 days
+    '04-04': '癸卯', '04-13': '壬子', '04-16': '乙卯', '04-25': '甲子', '04-28': '丁卯',
+    // 巳月 from 立夏 (05-05): 卯 and 辰 days
+    '05-10': '己卯', '05-11': '庚辰', '05-22': '辛卯', '05-23': '壬辰', '06-03': '癸卯', '06-04': '甲辰',
+    // 午月 from 芒種 (06-05): 巳 and 午 days
+    '06-05': '乙巳', '06-06': '丙午', '06-17': '丁巳', '06-18': '戊午', '06-29': '己巳', '06-30': '庚午',
+    // 未月 from 小暑 (07-07): 酉 and 午 days
+    '07-12': '壬午', '07-15': '乙酉', '07-24': '甲午', '07-27': '丁酉', '08-05': '丙午',
+    // 申月 from 立秋 (08-07): 子 and 未 days
+    '08-11': '壬子', '08-18': '己未', '08-23': '甲子', '08-30': '辛未', '09-04': '丙子',
+    // 酉月 from 白露 (09-07): 卯 and 申 days
+    '09-07': '己卯', '09-12': '甲申', '09-19': '辛卯', '09-24': '丙申', '10-01': '癸卯', '10-06': '戊申',
+    // 戌月 from 寒露 (10-08): 酉 and 午 days
+    '10-16': '戊午', '10-19': '辛酉', '10-28': '庚午', '10-31': '癸酉',
+    // 亥月 from 立冬 (11-07): 酉 and 戌 days
+    '11-12': '乙酉', '11-13': '丙戌', '11-24': '丁酉', '11-25': '戊戌'
+};
+
+// The hardcoded January-November 2025 list the rule replaced. None of these days has
+// a branch from its 節月's row, so every one was wrong; December 2025 onward matched.
+const OLD_2025 = {
+    '01-06': '乙亥', '01-09': '戊寅', '01-12': '辛巳', '01-21': '庚寅', '01-24': '癸巳',
+    '02-02': '壬寅', '02-05': '乙巳', '02-12': '壬子', '02-17': '丁巳', '02-24': '甲子',
+    '03-01': '己巳', '03-09': '丁丑', '03-16': '甲申', '03-21': '己丑', '03-28': '丙申',
+    '04-02': '辛丑', '04-05': '甲辰', '04-08': '丁未', '04-17': '丙辰', '04-20': '己未', '04-29': '戊辰',
+    '05-02': '辛未', '05-14': '癸未', '05-15': '甲申', '05-26': '乙未', '05-27': '丙申',
+    '06-07': '丁未', '06-08': '戊申', '06-10': '庚戌', '06-19': '己未', '06-20': '庚申',
+    '07-01': '辛未', '07-02': '壬申', '07-14': '甲申', '07-17': '丁亥', '07-26': '丙申', '07-29': '己亥',
+    '08-07': '戊申', '08-10': '辛亥', '08-17': '戊午', '08-22': '癸亥', '08-29': '庚午',
+    '09-03': '乙亥', '09-08': '庚辰', '09-11': '癸未', '09-16': '戊子', '09-23': '乙未', '09-28': '庚子',
+    '10-05': '丁未', '10-08': '庚戌', '10-11': '癸丑', '10-20': '壬戌', '10-23': '乙丑',
+    '11-01': '甲戌', '11-04': '丁丑', '11-16': '己丑', '11-17': '庚寅', '11-28': '辛丑', '11-29': '壬寅'
+};
+
+// 一粒万倍日 for 2025-2026 by the sekki-month rule
+const EXPECTED = {
+    2025: [
+        ...Object.keys(CORRECTED_2025),
+        '12-06', '12-08', '12-09', '12-20', '12-21'
+    ],
+    2026: [
+        '01-01', '01-02', '01-05', '01-14', '01-17', '01-26', '01-29',
+        '02-08', '02-13', '02-20', '02-25',
+        '03-04', '03-05', '03-12', '03-17', '03-24', '03-29',
+        '04-08', '04-11', '04-20', '04-23',
+        '05-02', '05-05', '05-06', '05-17', '05-18', '05-29', '05-30',
+        '06-12', '06-13', '06-24', '06-25',
+        '07-06', '07-07', '07-10', '07-19', '07-22', '07-31',
+        '08-03', '08-13', '08-18', '08-25', '08-30',
+        '09-06', '09-07', '09-14', '09-19', '09-26',
+        '10-01', '10-11', '10-14', '10-23', '10-26',
+        '11-04', '11-07', '11-08', '11-19', '11-20',
+        '12-01', '12-02', '12-15', '12-16', '12-27', '12-28'
+    ]
+};
+
+for (const [year, expected] of Object.entries(EXPECTED)) {
+    test(`一粒万倍日 in ${year}`, () => {
+        const computed = [];
+        for (const date of daysOfYear(Number(year))) {
+            if (getLuckyDays(date).some(l => l.type === 'ichiryumanbai')) computed.push(formatMonthDay(date));
+        }
+        assert.deepEqual(computed, expected);
+    });
+}
+
+/**
+ * Local Date for an MM-DD key of 2025
+ */
+function dateOf(monthDay) {
+    const [month, day] = monthDay.split('-').map(Number);
+    return new Date(2025, month - 1, day);
+}
+
+test('the corrected 2025 dates follow the 節月 table', () => {
+    for (const [monthDay, eto] of Object.entries(CORRECTED_2025)) {
+        const date = dateOf(monthDay);
+        assert.equal(getEto(date).etoString, eto, monthDay);
+        assert.equal(dayEto(2025, date.getMonth() + 1, date.getDate()), eto, monthDay);
+        assert.ok(luckyDays(2025, date.getMonth() + 1, date.getDate()).includes('ichiryumanbai'), monthDay);
+    }
+});
+
+test('the old hardcoded 2025 dates are not 一粒万倍日', () => {
+    for (const [monthDay, eto] of Object.entries(OLD_2025)) {
+        const date = dateOf(monthDay);
+        assert.equal(getEto(date).etoString, eto, monthDay);
+        assert.ok(!getLuckyDays(date).some(l => l.type === 'ichiryumanbai'), monthDay);
+        assert.ok(!luckyDays(2025, date.getMonth() + 1, date.getDate()).includes('ichiryumanbai'), monthDay);
+    }
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIcs } from '../src/lib/IcsExport.js';
+import './helpers.js';
+
+const START = new Date(2026, 0, 1);
+const END = new Date(2026, 0, 31);
+
+test('a feed carries its refresh interval', () => {
+    const lines = createIcs(START, END, ['tensha'], { refresh: 'P1D' }).split('\r\n');
+    assert.ok(lines.includes('REFRESH-INTERVAL;VALUE=DURATION:P1D'));
+    assert.ok(lines.includes('X-PUBLISHED-TTL:P1D'));
+});
+
+test('a one-off export has no refresh interval', () => {
+    assert.ok(!createIcs(START, END, ['tensha']).includes('REFRESH-INTERVAL'));
+});
+
+test('refresh must be a duration', () => {
+    for (const refresh of ['1W', 'P', 'PT', 'weekly']) {
+        assert.throws(() => createIcs(START, END, ['tensha'], { refresh }), RangeError, refresh);
+    }
+});
+
+test('UIDs stay the same across exports', () => {
+    const uids = ics => ics.split('\r\n').filter(line => line.startsWith('UID:'));
+    const now = new Date(2026, 5, 1);
+    assert.deepEqual(uids(createIcs(START, END, ['full-moon', 'tora'])), uids(createIcs(START, END, ['full-moon', 'tora'], { now })));
+});
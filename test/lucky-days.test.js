@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLuckyDays } from '../src/lib/JapaneseCalendar.js';
+import { loadGolden, loadSnapshot, withTimezone, daysOfYear, formatMonthDay } from './helpers.js';
+import { luckyDays } from './almanac.js';
+
+const STEMS = '甲乙丙丁戊己庚辛壬癸';
+const BRANCHES = '子丑寅卯辰巳午未申酉戌亥';
+const { tensha, ichiryumanbai } = loadSnapshot('lucky-days.json');
+const { jan1 } = loadGolden('eto.json');
+const published = loadGolden('published.json');
+
+/**
+ * MM-DD of each day in `year` that getLuckyDays marks with `type`
+ */
+function findDays(year, type) {
+    const days = [];
+    for (const date of daysOfYear(year)) {
+        if (getLuckyDays(date).some(l => l.type === type)) days.push(formatMonthDay(date));
+    }
+    return days;
+}
+
+for (const timeZone of ['Asia/Tokyo', 'America/New_York']) {
+    test(`lucky days follow the reference almanac, 1950-2050 (${timeZone})`, () => {
+        withTimezone(timeZone, () => {
+            let ambiguous = 0;
+            for (let year = 1950; year <= 2050; year++) {
+                for (const date of daysOfYear(year)) {
+                    const expected = luckyDays(year, date.getMonth() + 1, date.getDate());
+                    // A solar term within the almanac's error of JST midnight
+                    if (!expected) {
+                        ambiguous++;
+                        continue;
+                    }
+                    const computed = getLuckyDays(date).map(l => l.type);
+                    assert.deepEqual(computed.sort(), expected.sort(), `${year}-${formatMonthDay(date)}`);
+                }
+            }
+            assert.ok(ambiguous < 30, `${ambiguous} days skipped`);
+        });
+    });
+
+    // Secondary regression guard: catches any change from the recorded output
+    test(`天赦日 match the snapshot, 1960-2060 (${timeZone})`, () => {
+        withTimezone(timeZone, () => {
+            for (const [year, days] of Object.entries(tensha)) {
+                assert.deepEqual(findDays(Number(year), 'tensha'), days, year);
+            }
+        });
+    });
+
+    test(`一粒万倍日 match the snapshot (${timeZone})`, () => {
+        withTimezone(timeZone, () => {
+            for (const [year, days] of Object.entries(ichiryumanbai)) {
+                assert.deepEqual(findDays(Number(year), 'ichiryumanbai'), days, year);
+            }
+        });
+    });
+}
+
+test('寅の日, 巳の日 and 己巳の日 follow the golden day 干支, 1960-2060', () => {
+    for (let year = 1960; year <= 2060; year++) {
+        const stem = STEMS.indexOf(jan1[year][0]);
+        const branch = BRANCHES.indexOf(jan1[year][1]);
+        let offset = 0;
+        for (const date of daysOfYear(year)) {
+            const dayStem = STEMS[(stem + offset) % 10];
+            const dayBranch = BRANCHES[(branch + offset) % 12];
+            offset++;
+
+            const types = getLuckyDays(date).map(l => l.type);
+            const label = `${year}-${formatMonthDay(date)}`;
+            assert.equal(types.includes('tora'), dayBranch === '寅', label);
+            assert.equal(types.includes('mi'), dayBranch === '巳', label);
+            assert.equal(types.includes('super-mi'), dayStem === '己' && dayBranch === '巳', label);
+        }
+    }
+});
+
+test('天赦日 published in printed 暦', () => {
+    for (const [year, days] of Object.entries(published.tensha)) {
+        assert.deepEqual(findDays(Number(year), 'tensha'), days, year);
+    }
+});
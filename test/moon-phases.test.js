@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMoonPhaseEvents, getMoonPhaseEvent } from '../src/lib/MoonData.js';
+import { getJstParts } from '../src/lib/DateUtil.js';
+import { loadGolden, loadSnapshot, withTimezone } from './helpers.js';
+import { moonPhaseJde, moonPhases } from './almanac.js';
+
+const { events } = loadSnapshot('moon-phases.json');
+const published = loadGolden('published.json');
+
+// Largest gap allowed between the app and the Meeus series (measured at about 1 minute)
+const REFERENCE_TOLERANCE_MS = 2 * 60 * 1000;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+/**
+ * Golden entry ("MM-DD HH:MM quarter") parsed against the year
+ */
+function parseEntry(year, entry) {
+    const [, month, day, hour, minute, quarter] = entry.match(/^(\d\d)-(\d\d) (\d\d):(\d\d) (\d)$/).map(Number);
+    return { year, month, day, hour, minute, quarter };
+}
+
+test('the reference almanac reproduces Meeus example 49.a', () => {
+    // New moon of 1977 Feb 18, 3h37m42s TD
+    assert.ok(Math.abs(moonPhaseJde(-283) - 2443192.65118) < 0.00001);
+});
+
+test('phase times agree with the reference almanac, 1950-2050', () => {
+    for (let year = 1950; year <= 2050; year++) {
+        const expected = moonPhases(year);
+        const computed = [];
+        for (let month = 1; month <= 12; month++) computed.push(...getMoonPhaseEvents(year, month));
+
+        assert.equal(computed.length, expected.length, year);
+        computed.forEach((event, i) => {
+            const label = `${year} #${i}`;
+            assert.equal(event.quarter, expected[i].quarter, label);
+            assert.ok(Math.abs(event.time - expected[i].time) <= REFERENCE_TOLERANCE_MS, `${label}: ${event.time.toISOString()} vs ${expected[i].time.toISOString()}`);
+        });
+    }
+});
+
+test('phases published by NAOJ', () => {
+    for (const entry of published.moonPhases) {
+        const [, year, month, day, hour, minute, quarter] = entry.match(/^(\d{4})-(\d\d)-(\d\d) (\d\d):(\d\d) (\d)$/).map(Number);
+        const event = getMoonPhaseEvents(year, month).find(e => e.quarter === quarter && getJstParts(e.time).day === day);
+        assert.ok(event, entry);
+        // NAOJ rounds to the minute
+        const { hour: h, minute: m } = getJstParts(event.time);
+        assert.ok(Math.abs(h * 60 + m - (hour * 60 + minute)) <= 1, `${entry}: ${pad(h)}:${pad(m)}`);
+    }
+});
+
+// Secondary regression guard: catches any change from the recorded output
+test('phase events match the snapshot', () => {
+    for (const [year, entries] of Object.entries(events)) {
+        const computed = [];
+        for (let month = 1; month <= 12; month++) {
+            for (const event of getMoonPhaseEvents(Number(year), month)) {
+                const { month: m, day, hour, minute } = getJstParts(event.time);
+                computed.push(`${pad(m)}-${pad(day)} ${pad(hour)}:${pad(minute)} ${event.quarter}`);
+            }
+        }
+        assert.deepEqual(computed, entries, year);
+    }
+});
+
+// The event belongs to its JST day, whatever timezone the calendar is opened in
+for (const timeZone of ['Asia/Tokyo', 'America/New_York', 'America/Sao_Paulo']) {
+    test(`getMoonPhaseEvent finds each event on its JST day (${timeZone})`, () => {
+        withTimezone(timeZone, () => {
+            for (const [year, entries] of Object.entries(events)) {
+                for (const entry of entries) {
+                    const { month, day, quarter } = parseEntry(Number(year), entry);
+                    const event = getMoonPhaseEvent(new Date(Number(year), month - 1, day));
+                    assert.equal(event?.quarter, quarter, `${year}-${entry}`);
+                    assert.notEqual(getMoonPhaseEvent(new Date(Number(year), month - 1, day - 1))?.quarter, quarter, `${year}-${entry} day before`);
+                }
+            }
+        });
+    });
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSolarTermTime, getSolarTermsForYear } from '../src/lib/SolarTerms.js';
+import { getJstParts } from '../src/lib/DateUtil.js';
+import { loadGolden } from './helpers.js';
+import { solarLongitude, solarTermTime } from './almanac.js';
+
+const published = loadGolden('published.json');
+
+// Meeus's low-accuracy Sun is good to about 0.01° (measured gap: 14 minutes)
+const REFERENCE_TOLERANCE_MS = 20 * 60 * 1000;
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+test('the reference almanac reproduces Meeus example 25.a', () => {
+    // Apparent longitude of the Sun on 1992 Oct 13.0 TD
+    assert.ok(Math.abs(solarLongitude(2448908.5) - 199.90895) < 0.0001);
+});
+
+test('solar terms agree with the reference almanac, 1950-2050', () => {
+    for (let year = 1950; year <= 2050; year++) {
+        for (let longitude = 0; longitude < 360; longitude += 15) {
+            const computed = getSolarTermTime(year, longitude);
+            const expected = solarTermTime(year, longitude);
+            assert.ok(Math.abs(computed - expected) <= REFERENCE_TOLERANCE_MS, `${year} ${longitude}°: ${computed.toISOString()} vs ${expected.toISOString()}`);
+        }
+    }
+});
+
+test('春分 and 秋分 fall on the published dates', () => {
+    for (const [year, expected] of Object.entries(published.equinoxes)) {
+        const computed = getSolarTermsForYear(Number(year))
+            .filter(term => term.longitude === 0 || term.longitude === 180)
+            .map(term => {
+                const { month, day } = getJstParts(term.time);
+                return `${pad(month)}-${pad(day)}`;
+            });
+        assert.deepEqual(computed, expected, year);
+    }
+});